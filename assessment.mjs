@@ -0,0 +1,238 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { parse } from 'csv-parse/sync';
+import { parseAmount } from './reconcile.mjs';
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Month of a transaction date as YYYY-MM. Statements are NZ, so d/m/y is tried before the
+ * engine's own parsing.
+ * @param {string} date
+ * @returns {string|null}
+ */
+function monthOf(date) {
+    const dmy = String(date).match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/);
+    if (dmy) {
+        const year = dmy[3].length === 2 ? `20${dmy[3]}` : dmy[3];
+        return `${year}-${dmy[2].padStart(2, '0')}`;
+    }
+    const parsed = new Date(date);
+    return Number.isNaN(parsed.getTime()) ? null : parsed.toISOString().slice(0, 7);
+}
+
+function monthsBetween(first, last) {
+    const months = [];
+    let [year, month] = first.split('-').map(Number);
+    const [lastYear, lastMonth] = last.split('-').map(Number);
+    while (year < lastYear || (year === lastYear && month <= lastMonth)) {
+        months.push(`${year}-${String(month).padStart(2, '0')}`);
+        month += 1;
+        if (month > 12) {
+            month = 1;
+            year += 1;
+        }
+    }
+    return months;
+}
+
+// Statement rows are named after the _raw_ocr.txt written next to each split PDF
+const documentFilename = (sourceFile) => sourceFile.replace(/_raw_ocr\.txt$/, '.pdf');
+
+/**
+ * The months an account's statements cover: their periods, and any month with a transaction.
+ * Without statement periods, the months from its first transaction to its last.
+ */
+function accountMonths(files, transactionMonths, statements) {
+    const covered = new Set(transactionMonths);
+    const periods = statements.filter(({ file, periodStart, periodEnd }) => files.has(file) && periodStart && periodEnd);
+    if (periods.length === 0) {
+        const observed = [...transactionMonths].sort();
+        return monthsBetween(observed[0], observed[observed.length - 1]);
+    }
+    for (const { periodStart, periodEnd } of periods) {
+        monthsBetween(periodStart.slice(0, 7), periodEnd.slice(0, 7)).forEach((month) => covered.add(month));
+    }
+    return [...covered].sort();
+}
+
+/**
+ * Summarise consolidated statement transactions for a financial hardship assessment
+ * @param {object} options
+ * @param {Array<object>} options.transactions - Rows of consolidated_statements.csv
+ * @param {Array<object>} options.manifest - The manifest.json written by split-pdf.mjs, if any
+ * @param {Array<object>} options.statements - The statements.json written by the extraction, if any
+ * @returns {object} - The assessment summary
+ */
+export function buildAssessment({ transactions, manifest = [], statements = [] }) {
+    const categories = new Map(manifest.map(({ filename, category }) => [filename, category]));
+
+    const monthTotals = new Map();
+    const accountTotals = new Map();
+    const categoryTotals = new Map();
+    const undated = [];
+
+    for (const transaction of transactions) {
+        const income = parseAmount(transaction.Income) || 0;
+        const expenditure = parseAmount(transaction.Expenditure, { moneyOut: true }) || 0;
+        const month = monthOf(transaction.Date);
+        const file = transaction['File name'] ?? transaction.Filename ?? '';
+        const document = documentFilename(file);
+        // Statements for the same account are added up together; rows consolidated before
+        // accounts were identified are counted by statement
+        const account = transaction.Account || document;
+
+        if (!month) {
+            undated.push(transaction);
+            continue;
+        }
+
+        const monthTotal = monthTotals.get(month) || { month, income: 0, expenditure: 0 };
+        monthTotal.income += income;
+        monthTotal.expenditure += expenditure;
+        monthTotals.set(month, monthTotal);
+
+        const accountTotal = accountTotals.get(account) || { account, category: categories.get(document) ?? null, income: 0, expenditure: 0, months: new Set(), files: new Set() };
+        accountTotal.income += income;
+        accountTotal.expenditure += expenditure;
+        accountTotal.months.add(month);
+        accountTotal.files.add(file);
+        accountTotals.set(account, accountTotal);
+
+        const category = transaction.Category || 'Other';
+        const categoryTotal = categoryTotals.get(category) || { category, income: 0, expenditure: 0 };
+        categoryTotal.income += income;
+        categoryTotal.expenditure += expenditure;
+        categoryTotals.set(category, categoryTotal);
+    }
+
+    const observedMonths = [...monthTotals.keys()].sort();
+    const months = observedMonths.length > 0 ? monthsBetween(observedMonths[0], observedMonths[observedMonths.length - 1]) : [];
+
+    const byMonth = months.map((month) => {
+        const { income = 0, expenditure = 0 } = monthTotals.get(month) || {};
+        return { month, income: round(income), expenditure: round(expenditure), net: round(income - expenditure) };
+    });
+
+    const totalIncome = byMonth.reduce((sum, { income }) => sum + income, 0);
+    const totalExpenditure = byMonth.reduce((sum, { expenditure }) => sum + expenditure, 0);
+    const averageMonthlyIncome = months.length > 0 ? round(totalIncome / months.length) : 0;
+    const averageMonthlyExpenditure = months.length > 0 ? round(totalExpenditure / months.length) : 0;
+
+    // Each account is averaged over the months its statements cover, not the whole period
+    const byAccount = [...accountTotals.values()].map(({ account, category, income, expenditure, months: transactionMonths, files }) => {
+        const covered = accountMonths(files, transactionMonths, statements);
+        return {
+            account,
+            category,
+            income: round(income),
+            expenditure: round(expenditure),
+            averageMonthlyIncome: round(income / covered.length),
+            averageMonthlyExpenditure: round(expenditure / covered.length),
+            monthsCovered: covered.length,
+            monthsWithTransactions: [...transactionMonths].sort(),
+        };
+    });
+
+    const byCategory = [...categoryTotals.values()]
+        .map(({ category, income, expenditure }) => ({
+            category,
+            income: round(income),
+            expenditure: round(expenditure),
+            averageMonthlyExpenditure: round(expenditure / months.length),
+        }))
+        .sort((a, b) => b.expenditure - a.expenditure);
+
+    return {
+        period: months.length > 0 ? { from: months[0], to: months[months.length - 1], months: months.length } : null,
+        totalIncome: round(totalIncome),
+        totalExpenditure: round(totalExpenditure),
+        averageMonthlyIncome,
+        averageMonthlyExpenditure,
+        // Positive when average spending exceeds average income
+        monthlyShortfall: round(Math.max(0, averageMonthlyExpenditure - averageMonthlyIncome)),
+        byMonth,
+        byAccount,
+        byCategory,
+        undatedTransactions: undated.length,
+    };
+}
+
+const money = (amount) => `${amount < 0 ? '-' : ''}$${Math.abs(amount).toLocaleString('en-NZ', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+/**
+ * Render the assessment summary as a Markdown section for assessors
+ * @param {object} assessment - The result of buildAssessment
+ * @returns {string}
+ */
+export function renderAssessment(assessment) {
+    const lines = ['## Financial hardship assessment summary', ''];
+
+    if (!assessment.period) {
+        lines.push('No dated transactions were found in the supplied statements.');
+        return lines.join('\n');
+    }
+
+    lines.push(
+        `Statement period: ${assessment.period.from} to ${assessment.period.to} (${assessment.period.months} months)`,
+        '',
+        `- Average monthly income: ${money(assessment.averageMonthlyIncome)}`,
+        `- Average monthly expenditure: ${money(assessment.averageMonthlyExpenditure)}`,
+        `- Monthly shortfall: ${money(assessment.monthlyShortfall)}`,
+        '',
+        '### By month',
+        '',
+        '| Month | Income | Expenditure | Net |',
+        '| --- | ---: | ---: | ---: |',
+        ...assessment.byMonth.map(({ month, income, expenditure, net }) => `| ${month} | ${money(income)} | ${money(expenditure)} | ${money(net)} |`),
+        '',
+        '### By account',
+        '',
+        '| Account | Category | Months | Income | Expenditure | Avg monthly income | Avg monthly expenditure |',
+        '| --- | --- | ---: | ---: | ---: | ---: | ---: |',
+        ...assessment.byAccount.map(({ account, category, monthsCovered, income, expenditure, averageMonthlyIncome, averageMonthlyExpenditure }) =>
+            `| ${account} | ${category ?? ''} | ${monthsCovered} | ${money(income)} | ${money(expenditure)} | ${money(averageMonthlyIncome)} | ${money(averageMonthlyExpenditure)} |`),
+        '',
+        '### By category',
+        '',
+        '| Category | Income | Expenditure | Avg monthly expenditure |',
+        '| --- | ---: | ---: | ---: |',
+        ...assessment.byCategory.map(({ category, income, expenditure, averageMonthlyExpenditure }) =>
+            `| ${category} | ${money(income)} | ${money(expenditure)} | ${money(averageMonthlyExpenditure)} |`),
+    );
+
+    if (assessment.undatedTransactions > 0) {
+        lines.push('', `${assessment.undatedTransactions} transactions had a date that could not be read and are not included above.`);
+    }
+
+    return lines.join('\n');
+}
+
+async function readIfExists(filePath) {
+    try {
+        return await fs.readFile(filePath, 'utf8');
+    } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+    }
+}
+
+/**
+ * Build the assessment from consolidated_statements.csv and manifest.json in an output folder
+ * and write assessment.json and assessment.md next to them
+ * @param {string} folder - The output folder
+ * @returns {Promise<object>} - The assessment summary
+ */
+export async function generateAssessment(folder) {
+    const csv = await readIfExists(path.join(folder, 'consolidated_statements.csv'));
+    const transactions = csv ? parse(csv, { columns: true, skip_empty_lines: true }) : [];
+    const manifest = JSON.parse(await readIfExists(path.join(folder, 'manifest.json')) ?? '[]');
+    const statements = JSON.parse(await readIfExists(path.join(folder, 'statements.json')) ?? '[]');
+
+    const assessment = buildAssessment({ transactions, manifest, statements });
+
+    await fs.writeFile(path.join(folder, 'assessment.json'), JSON.stringify(assessment, null, 2), 'utf8');
+    await fs.writeFile(path.join(folder, 'assessment.md'), renderAssessment(assessment) + '\n', 'utf8');
+
+    return assessment;
+}
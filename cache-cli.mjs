@@ -0,0 +1,114 @@
+import fs from 'fs/promises';
+import { parseArgs } from 'util';
+import { cacheFolder, cacheKey, documentAnalysisCacheKey, listEntries, pruneEntries, readEntry, setCached, sha256 } from './cache-store.mjs';
+
+const usage = `Usage: node cache-cli.mjs <command>
+
+Commands:
+  list                         List cache entries
+  inspect <key>                Print an entry, including its value
+  prune [--expired] [--older-than <days>] [--all]
+                               Remove entries
+  import [cache.json]          Import entries from the legacy cache.json
+`;
+
+const { positionals, values } = parseArgs({
+    allowPositionals: true,
+    options: {
+        expired: { type: 'boolean', default: false },
+        'older-than': { type: 'string' },
+        all: { type: 'boolean', default: false },
+    },
+});
+
+const [command, argument] = positionals;
+
+// cache.json was replaced when prompt versions were introduced, so its responses are those of
+// the first version; a bump since then means they aren't reused
+const legacyPromptVersion = 1;
+
+const formatSize = (bytes) => (bytes > 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${(bytes / 1024).toFixed(1)} KB`);
+
+async function list() {
+    const entries = await listEntries();
+    for (const { key, meta, createdAt, expired, size } of entries) {
+        const description = meta.kind === 'document-intelligence' ? meta.filePath : meta.url;
+        console.log(`${key}  ${createdAt}  ${formatSize(size).padStart(9)}  ${meta.kind ?? ''}${expired ? ' (expired)' : ''}  ${description ?? ''}`);
+    }
+    const total = entries.reduce((sum, { size }) => sum + size, 0);
+    console.log(`\n${entries.length} entries, ${formatSize(total)} in ${cacheFolder}`);
+}
+
+async function inspect(key) {
+    const matches = (await listEntries()).filter((entry) => entry.key.startsWith(key));
+    if (matches.length !== 1) {
+        throw new Error(matches.length === 0 ? `No cache entry matches ${key}` : `${matches.length} cache entries match ${key}, use a longer prefix`);
+    }
+    console.log(JSON.stringify(await readEntry(matches[0].key), null, 2));
+}
+
+async function prune() {
+    if (!values.expired && !values.all && values['older-than'] === undefined) {
+        throw new Error('Choose what to prune with --expired, --older-than <days> or --all');
+    }
+    const olderThanDays = values['older-than'] !== undefined ? Number(values['older-than']) : null;
+    if (olderThanDays !== null && (values['older-than'].trim() === '' || !Number.isFinite(olderThanDays) || olderThanDays < 0)) {
+        throw new Error(`--older-than takes a number of days, not "${values['older-than']}"`);
+    }
+    const removed = await pruneEntries({
+        expired: values.expired,
+        olderThanDays,
+        all: values.all,
+    });
+    console.log(`Removed ${removed.length} entries`);
+}
+
+/**
+ * Import the single-file cache.json used before the content-addressed cache. Chat completions
+ * were keyed by URL and payload, and are imported as responses to the first prompt version; Document Intelligence results were keyed by file path, so those
+ * are only imported when the file is still there to hash.
+ */
+async function importLegacy(filePath = './cache.json') {
+    const legacy = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    let imported = 0;
+    let skipped = 0;
+
+    for (const [legacyKey, value] of Object.entries(legacy)) {
+        const bodyStart = legacyKey.indexOf(':{');
+        if (bodyStart !== -1) {
+            const url = legacyKey.slice(0, bodyStart);
+            const body = JSON.parse(legacyKey.slice(bodyStart + 1));
+            await setCached(cacheKey({ url, body, promptVersion: legacyPromptVersion }), value, { meta: { kind: 'chat', url, model: body.model } });
+            imported++;
+            continue;
+        }
+
+        try {
+            const pdfHash = sha256(await fs.readFile(legacyKey));
+            // prebuilt-document with API version 2023-07-31 is the only model cache.json was written with
+            await setCached(documentAnalysisCacheKey('prebuilt-document', '2023-07-31', pdfHash), value, {
+                meta: { kind: 'document-intelligence', filePath: legacyKey, modelId: 'prebuilt-document' },
+            });
+            imported++;
+        } catch (err) {
+            console.warn(`Skipping ${legacyKey}: ${err.message}`);
+            skipped++;
+        }
+    }
+
+    console.log(`Imported ${imported} entries, skipped ${skipped}`);
+}
+
+const commands = { list, inspect, prune, import: importLegacy };
+
+if (!commands[command]) {
+    console.error(usage);
+    process.exit(1);
+}
+
+try {
+    await commands[command](argument);
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
@@ -0,0 +1,152 @@
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+export const cacheFolder = process.env.CACHE_DIR || './.cache';
+
+// Entries expire after CACHE_TTL_DAYS if it is set, otherwise they are kept until pruned
+const defaultTtlDays = process.env.CACHE_TTL_DAYS ? Number(process.env.CACHE_TTL_DAYS) : null;
+
+export const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+/**
+ * Content-addressed key for a cache entry
+ * @param {object} parts - Everything that determines the cached value, e.g. the request body, model and prompt version
+ * @returns {string} - Hex digest
+ */
+export function cacheKey(parts) {
+    return sha256(JSON.stringify(parts));
+}
+
+/**
+ * Key for a Document Intelligence result, based on the PDF bytes rather than its path
+ * @param {string} modelId - The Document Intelligence model
+ * @param {string} apiVersion - The API version
+ * @param {string} pdfHash - sha256 of the PDF bytes
+ * @param {string} pages - The pages analyzed, e.g. "2,5-6", when not the whole PDF
+ * @returns {string}
+ */
+export function documentAnalysisCacheKey(modelId, apiVersion, pdfHash, pages) {
+    return cacheKey({ kind: 'document-intelligence', modelId, apiVersion, pdfHash, pages });
+}
+
+const entryPath = (key) => path.join(cacheFolder, key.slice(0, 2), `${key}.json`);
+
+/**
+ * Write a file by renaming a temporary file over it, so readers and other processes never see
+ * a partly written file
+ */
+async function writeFileAtomic(filePath, data) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    try {
+        await fs.writeFile(tempPath, data, 'utf8');
+        await fs.rename(tempPath, filePath);
+    } catch (err) {
+        await fs.rm(tempPath, { force: true });
+        throw err;
+    }
+}
+
+const isExpired = (entry) => entry.expiresAt && new Date(entry.expiresAt) < new Date();
+
+/**
+ * Read a whole cache entry, including its metadata
+ * @param {string} key - The cache key
+ * @returns {Promise<object|null>} - The entry, or null if there is none
+ */
+export async function readEntry(key) {
+    try {
+        return JSON.parse(await fs.readFile(entryPath(key), 'utf8'));
+    } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        console.error(`Error reading cache entry ${key}:`, err.message);
+        return null;
+    }
+}
+
+/**
+ * Get a cached value
+ * @param {string} key - The cache key
+ * @returns {Promise<*>} - The cached value, or undefined if missing or expired
+ */
+export async function getCached(key) {
+    const entry = await readEntry(key);
+    if (!entry || isExpired(entry)) return undefined;
+    return entry.value;
+}
+
+/**
+ * Store a value in the cache
+ * @param {string} key - The cache key
+ * @param {*} value - The value to store
+ * @param {object} options
+ * @param {object} options.meta - Description of the entry shown by the cache CLI
+ * @param {number} options.ttlDays - Days until the entry expires
+ */
+export async function setCached(key, value, { meta = {}, ttlDays = defaultTtlDays } = {}) {
+    const createdAt = new Date();
+    const entry = {
+        key,
+        meta,
+        createdAt: createdAt.toISOString(),
+        expiresAt: ttlDays ? new Date(createdAt.getTime() + ttlDays * 24 * 60 * 60 * 1000).toISOString() : null,
+        value,
+    };
+    try {
+        await writeFileAtomic(entryPath(key), JSON.stringify(entry));
+    } catch (err) {
+        console.error('Error saving cache entry:', err);
+    }
+}
+
+/**
+ * List the entries in the cache without their values
+ * @returns {Promise<Array<object>>} - Key, metadata, dates and size of each entry
+ */
+export async function listEntries() {
+    let shards;
+    try {
+        shards = await fs.readdir(cacheFolder);
+    } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+    }
+
+    const entries = [];
+    for (const shard of shards) {
+        const files = await fs.readdir(path.join(cacheFolder, shard)).catch(() => []);
+        for (const file of files.filter((name) => name.endsWith('.json'))) {
+            const key = path.basename(file, '.json');
+            const { size } = await fs.stat(path.join(cacheFolder, shard, file));
+            const entry = await readEntry(key);
+            if (entry) {
+                entries.push({ key, meta: entry.meta, createdAt: entry.createdAt, expiresAt: entry.expiresAt, expired: Boolean(isExpired(entry)), size });
+            }
+        }
+    }
+    return entries.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Remove cache entries
+ * @param {object} options
+ * @param {boolean} options.expired - Remove entries past their expiry
+ * @param {number} options.olderThanDays - Remove entries created more than this many days ago
+ * @param {boolean} options.all - Remove every entry
+ * @returns {Promise<string[]>} - The keys removed
+ */
+export async function pruneEntries({ expired = false, olderThanDays = null, all = false } = {}) {
+    const cutoff = olderThanDays !== null ? Date.now() - olderThanDays * 24 * 60 * 60 * 1000 : null;
+    const removed = [];
+    for (const entry of await listEntries()) {
+        if (all || (expired && entry.expired) || (cutoff !== null && new Date(entry.createdAt).getTime() < cutoff)) {
+            await fs.rm(entryPath(entry.key), { force: true });
+            removed.push(entry.key);
+        }
+    }
+    return removed;
+}
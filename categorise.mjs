@@ -0,0 +1,124 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { parse } from 'csv-parse/sync';
+import { buildTransactionCategoryPrompt } from './prompts.mjs';
+import { getValidatedJson } from './util.mjs';
+import { transactionCategorySchema } from './schemas.mjs';
+import { parseAmount } from './reconcile.mjs';
+
+const rulesFilePath = process.env.TRANSACTION_RULES_FILE || './category-rules.json';
+const modelBatchSize = 40;
+
+const uncategorised = 'Other';
+
+/**
+ * Load the merchant pattern rules. Each rule has a category, a list of case-insensitive
+ * regular expressions matched against the transaction detail, and optionally a type of
+ * income or expenditure that the rule is limited to.
+ * @param {string} filePath - The rules file
+ * @returns {Promise<Array<{ category: string, type?: string, patterns: RegExp[] }>>}
+ */
+export async function loadRules(filePath = rulesFilePath) {
+    const rules = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    return rules.map(({ category, type, patterns }) => ({
+        category,
+        type,
+        patterns: patterns.map((pattern) => new RegExp(pattern, 'i')),
+    }));
+}
+
+// Identifies a transaction in the statement CSVs so a hand-set category can be matched back to it
+const transactionKey = ({ Filename, Date, TransactionDetail, Income, Expenditure }) =>
+    [Filename, Date, TransactionDetail, parseAmount(Income) || 0, parseAmount(Expenditure, { moneyOut: true }) || 0].join('|');
+
+/**
+ * Load hand-set categories from category_overrides.csv in the output folder. The file has the
+ * same columns as the statement CSVs, so rows can be copied across and their Category edited.
+ * @param {string} folder - The output folder
+ * @returns {Promise<Map<string, string>>} - Category by transaction key
+ */
+export async function loadOverrides(folder) {
+    let csv;
+    try {
+        csv = await fs.readFile(path.join(folder, 'category_overrides.csv'), 'utf8');
+    } catch (err) {
+        if (err.code === 'ENOENT') return new Map();
+        throw err;
+    }
+
+    const overrides = new Map();
+    for (const row of parse(csv, { columns: true, skip_empty_lines: true })) {
+        const key = transactionKey({
+            Filename: row['File name'],
+            Date: row.Date,
+            TransactionDetail: row['Transaction Detail'],
+            Income: row.Income,
+            Expenditure: row.Expenditure,
+        });
+        overrides.set(key, row.Category);
+    }
+    return overrides;
+}
+
+function matchRule(rules, row) {
+    const isIncome = (parseAmount(row.Income) || 0) > 0;
+    const rule = rules.find(({ type, patterns }) =>
+        (!type || type === (isIncome ? 'income' : 'expenditure')) &&
+        patterns.some((pattern) => pattern.test(row.TransactionDetail ?? '')));
+    return rule?.category;
+}
+
+async function categoriseWithModel(categories, rows) {
+    const results = new Array(rows.length).fill(uncategorised);
+
+    for (let i = 0; i < rows.length; i += modelBatchSize) {
+        const batch = rows.slice(i, i + modelBatchSize).map((row, index) => ({
+            index,
+            detail: row.TransactionDetail,
+            income: row.Income,
+            expenditure: row.Expenditure,
+        }));
+
+        try {
+            const response = await getValidatedJson(
+                buildTransactionCategoryPrompt(categories, batch),
+                transactionCategorySchema(categories, batch.length),
+                { maxTokens: 4000 }
+            );
+            for (const { index, category } of response.categories) {
+                results[i + index] = category;
+            }
+        } catch (error) {
+            console.error('Error categorising transactions:', error.response?.data || error.message);
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Tag each transaction with a Category: hand-set overrides first, then the rules file, then
+ * the model in batches for whatever is left
+ * @param {Array<object>} rows - Statement rows
+ * @param {object} options
+ * @param {Array<object>} options.rules - Rules from loadRules
+ * @param {Map<string, string>} options.overrides - Overrides from loadOverrides
+ * @returns {Promise<Array<object>>} - The rows with Category set
+ */
+export async function categoriseTransactions(rows, { rules, overrides = new Map() }) {
+    const categorised = rows.map((row) => ({
+        ...row,
+        Category: overrides.get(transactionKey(row)) ?? matchRule(rules, row),
+    }));
+
+    const unmatched = categorised.filter((row) => !row.Category);
+    if (unmatched.length > 0) {
+        const categories = [...new Set(rules.map(({ category }) => category))];
+        const modelCategories = await categoriseWithModel(categories, unmatched);
+        unmatched.forEach((row, i) => {
+            row.Category = modelCategories[i];
+        });
+    }
+
+    return categorised;
+}
@@ -0,0 +1,329 @@
+#!/usr/bin/env node
+import fs from 'fs/promises';
+import path from 'path';
+import { parseArgs } from 'util';
+
+const exitCodes = {
+    success: 0,
+    failure: 1,
+    usage: 2,
+    incomplete: 3, // check found missing or insufficient evidence
+};
+
+class UsageError extends Error {}
+
+const defaultOutputFolder = './output';
+
+// Each application gets an output folder named after its PDF, or its folder or first file
+const applicationFolder = (inputFile, outputBase) =>
+    path.join(outputBase, path.basename(inputFile, path.extname(inputFile)));
+
+function requireArgument(value, name) {
+    if (!value) {
+        throw new UsageError(`Missing ${name}`);
+    }
+    return value;
+}
+
+// The job state of a run, resuming the last run in the folder if asked to
+async function openRun(inputs, outputFolder, { resume, force }) {
+    const { openJob, stages } = await import('./job-state.mjs');
+    const { listInputs } = await import('./intake.mjs');
+    if (force && !stages.includes(force)) {
+        throw new UsageError(`Unknown stage "${force}" for --force, expected one of: ${stages.join(', ')}`);
+    }
+    const files = await listInputs(inputs);
+    if (files.length === 0) {
+        throw new UsageError(`No files found in ${inputs.join(', ')}`);
+    }
+    return openJob(outputFolder, { input: files, resume, force });
+}
+
+async function runSplit(inputs, { output, resume, force, 'second-opinion': secondOpinion }) {
+    requireArgument(inputs[0], 'the application PDF, or its files or folder');
+    const { splitApplication } = await import('./split-pdf.mjs');
+    const outputFolder = output ?? applicationFolder(inputs[0], defaultOutputFolder);
+    const job = await openRun(inputs, outputFolder, { resume, force });
+    const files = await splitApplication(inputs, outputFolder, { job, secondOpinion });
+    console.log(`Split ${inputs.join(', ')} into ${files.length} documents in ${outputFolder}`);
+    return exitCodes.success;
+}
+
+async function runExtractStatements([folder], { output, pdfs }) {
+    requireArgument(folder, 'the folder to extract statements from');
+    const { extractStatements } = await import('./process-statements.mjs');
+    const statements = await extractStatements(folder, output ?? folder, { fromPdfs: pdfs });
+    console.log(`Extracted ${statements.length} statements`);
+    return exitCodes.success;
+}
+
+async function runExtractDocuments([folder]) {
+    requireArgument(folder, 'the output folder of a split');
+    const { extractDocuments } = await import('./document-extractors.mjs');
+    const { documents } = await extractDocuments(folder);
+    console.log(`Extracted the details of ${documents.filter(({ fields }) => fields).length} of ${documents.length} documents`);
+    return exitCodes.success;
+}
+
+async function runConsolidate([folder], { highlight }) {
+    requireArgument(folder, 'the output folder');
+    const { consolidateStatements } = await import('./process-statements.mjs');
+    const rows = await consolidateStatements(folder, { highlight });
+    console.log(`Consolidated ${rows.length} transactions`);
+    return exitCodes.success;
+}
+
+async function runCrossCheck([folder]) {
+    requireArgument(folder, 'the output folder');
+    const { runCrossChecks } = await import('./cross-checks.mjs');
+    const { summary } = await runCrossChecks(folder);
+    console.log(`Cross-checks: ${summary.pass} passed, ${summary.warn} warnings, ${summary.fail} failed, see cross_checks.json`);
+    return exitCodes.success;
+}
+
+async function runReport([folder]) {
+    requireArgument(folder, 'the output folder');
+    const { generateAssessment } = await import('./assessment.mjs');
+    const { generateReport } = await import('./report.mjs');
+    const assessment = await generateAssessment(folder);
+    console.log(`Average monthly income: ${assessment.averageMonthlyIncome}, expenditure: ${assessment.averageMonthlyExpenditure}, shortfall: ${assessment.monthlyShortfall}`);
+    try {
+        await generateReport(folder);
+    } catch (error) {
+        // Folders extracted with --pdfs have no split manifest to report on
+        if (error.code !== 'ENOENT') throw error;
+    }
+    return exitCodes.success;
+}
+
+async function runCheck([folder], { profile }) {
+    requireArgument(folder, 'the output folder');
+    const { generateCompletenessReport } = await import('./completeness.mjs');
+    const result = await generateCompletenessReport(folder, profile);
+    if (result.complete) {
+        console.log('All required evidence has been supplied');
+        return exitCodes.success;
+    }
+    console.log(`Evidence missing or insufficient, see missing_evidence.txt:\n${result.items.map(({ message }) => `- ${message}`).join('\n')}`);
+    return exitCodes.incomplete;
+}
+
+async function runReview([folder], { port }) {
+    requireArgument(folder, 'the output folder of a split');
+    const portNumber = Number(port);
+    if (!Number.isInteger(portNumber) || portNumber <= 0) {
+        throw new UsageError(`Invalid port "${port}"`);
+    }
+    const { startReviewServer } = await import('./review-server.mjs');
+    await startReviewServer(folder, { port: portNumber });
+    // The server keeps running until the process is interrupted
+    console.log(`Reviewing ${folder} at http://127.0.0.1:${portNumber}/ (Ctrl+C to stop)`);
+    return exitCodes.success;
+}
+
+async function runRedact([folder]) {
+    requireArgument(folder, 'the output folder');
+    const { writeRedactedCopies } = await import('./redact.mjs');
+    const { folder: redactedFolder, files, placeholders } = await writeRedactedCopies(folder);
+    console.log(`Wrote ${files.length} redacted files to ${redactedFolder}, replacing ${placeholders.length} distinct values`);
+    return exitCodes.success;
+}
+
+/**
+ * Run every stage for one application, a PDF or a folder of its files. Each stage is recorded in
+ * the output folder's job state, so a run that fails can be resumed.
+ * @returns {Promise<object>} - Summary of the application for the batch run
+ */
+async function processApplication(input, outputFolder, { profile, resume, force, secondOpinion }) {
+    const { splitApplication } = await import('./split-pdf.mjs');
+    const { extractStatements, consolidateStatements } = await import('./process-statements.mjs');
+    const { extractDocuments } = await import('./document-extractors.mjs');
+    const { runCrossChecks } = await import('./cross-checks.mjs');
+    const { generateAssessment } = await import('./assessment.mjs');
+    const { generateCompletenessReport } = await import('./completeness.mjs');
+
+    const { loadSources } = await import('./intake.mjs');
+
+    const job = await openRun([input], outputFolder, { resume, force });
+    const files = await splitApplication(input, outputFolder, { job, secondOpinion });
+    const statements = await job.run('extract-statements', () => extractStatements(outputFolder));
+    const { documents } = await job.run('extract-documents', () => extractDocuments(outputFolder));
+    await job.run('consolidate', async () => ({ transactions: (await consolidateStatements(outputFolder)).length }));
+    const crossChecks = await job.run('cross-check', async () => (await runCrossChecks(outputFolder)).summary);
+    const assessment = await job.run('report', () => generateAssessment(outputFolder));
+    const completeness = await job.run('check', () => generateCompletenessReport(outputFolder, profile));
+
+    return {
+        status: completeness.complete ? 'complete' : 'incomplete',
+        documents: files.length,
+        unreadableFiles: (await loadSources(outputFolder))?.sources.filter(({ error }) => error).map(({ file }) => file) ?? [],
+        statements: statements.length,
+        unreconciledStatements: statements.filter(({ reconciled }) => !reconciled).length,
+        documentsExtracted: documents.filter(({ fields }) => fields).length,
+        failedCrossChecks: crossChecks.fail,
+        monthlyShortfall: assessment.monthlyShortfall,
+        missingEvidence: completeness.items.length,
+    };
+}
+
+async function runBatch([inputFolder], { output, profile, resume, force, 'second-opinion': secondOpinion }) {
+    requireArgument(inputFolder, 'the folder of applications');
+    const outputBase = output ?? defaultOutputFolder;
+    // Each PDF is an application, and so is each folder, of the files sent for one application
+    const inputs = (await fs.readdir(inputFolder, { withFileTypes: true }))
+        .filter((entry) => (entry.isDirectory() && !entry.name.startsWith('.')) || (entry.isFile() && path.extname(entry.name).toLowerCase() === '.pdf'))
+        .map(({ name }) => name)
+        .sort();
+    if (inputs.length === 0) {
+        throw new UsageError(`No PDFs or application folders found in ${inputFolder}`);
+    }
+
+    const summary = { startedAt: new Date().toISOString(), finishedAt: null, applications: [] };
+
+    for (const file of inputs) {
+        const inputFile = path.join(inputFolder, file);
+        const outputFolder = applicationFolder(inputFile, outputBase);
+        console.log(`\n=== ${file} ===`);
+        try {
+            const result = await processApplication(inputFile, outputFolder, { profile, resume, force, secondOpinion });
+            summary.applications.push({ input: inputFile, output: outputFolder, ...result });
+        } catch (error) {
+            console.error(`Failed to process ${file}: ${error.message}`);
+            summary.applications.push({ input: inputFile, output: outputFolder, status: 'failed', error: error.message });
+        }
+    }
+
+    summary.finishedAt = new Date().toISOString();
+    await fs.mkdir(outputBase, { recursive: true });
+    const summaryPath = path.join(outputBase, 'batch_summary.json');
+    await fs.writeFile(summaryPath, JSON.stringify(summary, null, 2), 'utf8');
+
+    console.log('\nRun summary:');
+    for (const { input, status, error, missingEvidence } of summary.applications) {
+        console.log(`  ${path.basename(input)}: ${status}${error ? ` (${error})` : ''}${missingEvidence ? ` (${missingEvidence} evidence items outstanding)` : ''}`);
+    }
+    console.log(`Summary written to ${summaryPath}`);
+
+    return summary.applications.some(({ status }) => status === 'failed') ? exitCodes.failure : exitCodes.success;
+}
+
+const commands = {
+    split: {
+        usage: 'split <application.pdf|folder|files...> [--output <folder>] [--resume] [--force <stage>] [--second-opinion]',
+        description: 'Split an application into its documents: a PDF, or several PDFs and JPG or PNG photos, given as files or a folder (default output: ./output/<name>)',
+        run: runSplit,
+    },
+    'extract-statements': {
+        usage: 'extract-statements <folder> [--output <folder>] [--pdfs]',
+        description: 'Extract transactions from the statements in a split output folder, or from whole PDFs with --pdfs',
+        run: runExtractStatements,
+    },
+    'extract-documents': {
+        usage: 'extract-documents <folder>',
+        description: 'Extract the details of payslips, benefit letters, arrears notices, loan, mortgage and KiwiSaver statements, debt plans, rental agreements and expenses in a split output folder',
+        run: runExtractDocuments,
+    },
+    consolidate: {
+        usage: 'consolidate <folder> [--highlight]',
+        description: 'Combine the extracted statements into consolidated_statements.csv, with --highlight also marking the counted transactions in a copy of each statement PDF',
+        run: runConsolidate,
+    },
+    'cross-check': {
+        usage: 'cross-check <folder>',
+        description: 'Check payslips, benefit letters, repayments, arrears and the applicant\'s name and address against the statements and each other, writing cross_checks.json',
+        run: runCrossCheck,
+    },
+    report: {
+        usage: 'report <folder>',
+        description: 'Write the hardship assessment summary and report.html',
+        run: runReport,
+    },
+    check: {
+        usage: 'check <folder> [--profile <requirements.json>]',
+        description: 'Check the application for missing evidence (exit code 3 when evidence is missing)',
+        run: runCheck,
+    },
+    review: {
+        usage: 'review <folder> [--port <port>]',
+        description: 'Open a local web page to correct the split and categories of a split output folder (default port 8080)',
+        run: runReview,
+    },
+    redact: {
+        usage: 'redact <folder>',
+        description: 'Write copies of the text outputs and reports with personal information replaced, to <folder>/redacted',
+        run: runRedact,
+    },
+    batch: {
+        usage: 'batch <folder> [--output <folder>] [--profile <requirements.json>] [--resume] [--force <stage>] [--second-opinion]',
+        description: 'Run every stage for each application in a folder, a PDF or a folder of its files, each into its own output folder',
+        run: runBatch,
+    },
+};
+
+const options = {
+    help: { type: 'boolean', short: 'h' },
+    output: { type: 'string', short: 'o' },
+    profile: { type: 'string' },
+    pdfs: { type: 'boolean', default: false },
+    highlight: { type: 'boolean', default: false },
+    port: { type: 'string', default: '8080' },
+    resume: { type: 'boolean', default: false },
+    force: { type: 'string' },
+    'second-opinion': { type: 'boolean', default: false },
+};
+
+const usage = `Usage: node cli.mjs <command> [options]
+
+Commands:
+${Object.values(commands).map(({ usage: commandUsage, description }) => `  ${commandUsage}\n      ${description}`).join('\n')}
+
+Options:
+  -o, --output <folder>   Output folder
+  --profile <file>        Requirements profile for check and batch
+  --pdfs                  Read whole PDFs instead of split output (extract-statements)
+  --highlight             Write highlighted copies of the statement PDFs (consolidate)
+  --port <port>           Port for the review page (review)
+  --resume                Skip the stages the last run in the output folder completed (split, batch)
+  --force <stage>         Run a stage again, and the stages after it, resuming the rest (split, batch):
+                          intake, ocr, page-analysis, split, extract-statements, extract-documents,
+                          consolidate, cross-check, report, check
+  --second-opinion        Categorise the pages queued for review again, on their own (split, batch)
+  -h, --help              Show this help
+
+Exit codes: 0 success, 1 failure, 2 usage error, 3 evidence missing (check)
+`;
+
+async function main(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options, allowPositionals: true });
+    } catch (error) {
+        console.error(`${error.message}\n\n${usage}`);
+        return exitCodes.usage;
+    }
+
+    const [commandName, ...positionals] = parsed.positionals;
+    if (parsed.values.help || !commandName) {
+        console.log(usage);
+        return commandName || parsed.values.help ? exitCodes.success : exitCodes.usage;
+    }
+
+    const command = commands[commandName];
+    if (!command) {
+        console.error(`Unknown command "${commandName}"\n\n${usage}`);
+        return exitCodes.usage;
+    }
+
+    try {
+        return await command.run(positionals, parsed.values);
+    } catch (error) {
+        if (error instanceof UsageError) {
+            console.error(`${error.message}\n\nUsage: node cli.mjs ${command.usage}`);
+            return exitCodes.usage;
+        }
+        console.error(error.message);
+        return exitCodes.failure;
+    }
+}
+
+process.exitCode = await main(process.argv.slice(2));
@@ -0,0 +1,188 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { statementAccount } from './statements.mjs';
+import { loadSources } from './intake.mjs';
+
+const defaultProfilePath = process.env.REQUIREMENTS_PROFILE || './requirements/hardship-withdrawal.json';
+
+// Allowed gap between one statement's end and the next one's start, and slack on the period length
+const toleranceDays = 4;
+const dayMs = 24 * 60 * 60 * 1000;
+
+export async function loadProfile(filePath = defaultProfilePath) {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+}
+
+const parseDate = (value) => {
+    const date = value ? new Date(`${value}T00:00:00Z`) : null;
+    return date && !Number.isNaN(date.getTime()) ? date : null;
+};
+
+const isoDate = (date) => date.toISOString().slice(0, 10);
+
+function addMonths(date, months) {
+    const result = new Date(date);
+    result.setUTCMonth(result.getUTCMonth() + months);
+    return result;
+}
+
+// Group statements by the account they are for
+function groupByAccount(statements) {
+    const accounts = new Map();
+    for (const statement of statements) {
+        const { key, label } = statementAccount(statement);
+        if (!accounts.has(key)) {
+            accounts.set(key, { label, statements: [] });
+        }
+        accounts.get(key).statements.push(statement);
+    }
+    return [...accounts.values()];
+}
+
+/**
+ * Longest run of statement periods with no gap between them
+ * @returns {{ start: Date, end: Date }|null}
+ */
+function longestCoverage(statements) {
+    const periods = statements
+        .map(({ periodStart, periodEnd }) => ({ start: parseDate(periodStart), end: parseDate(periodEnd) }))
+        .filter(({ start, end }) => start && end)
+        .sort((a, b) => a.start - b.start);
+
+    let best = null;
+    let current = null;
+    for (const period of periods) {
+        if (current && period.start - current.end <= toleranceDays * dayMs) {
+            current.end = new Date(Math.max(current.end, period.end));
+        } else {
+            current = { ...period };
+        }
+        if (!best || current.end - current.start > best.end - best.start) {
+            best = { ...current };
+        }
+    }
+    return best;
+}
+
+// What to ask the applicant for, by why a file they sent couldn't be read
+const unreadableRequests = {
+    password: (file) => `We could not open ${file} because it is password protected. Please send it again without a password.`,
+    restricted: (file) => `We could not use ${file} because it is encrypted. Please send a copy without restrictions, or print it to a new PDF.`,
+    unsupported: (file) => `We could not open ${file}. Please send it as a PDF, JPG or PNG file.`,
+    unreadable: (file) => `We could not read ${file}. Please send it again.`,
+};
+
+/**
+ * Evaluate an application's documents against a requirements profile
+ * @param {object} options
+ * @param {object} options.profile - The requirements profile
+ * @param {Array<object>} options.manifest - The manifest.json written by split-pdf.mjs
+ * @param {Array<object>} options.statements - The statements.json written by process-statements.mjs
+ * @param {Array<object>} options.sources - The input files listed in sources.json, if any
+ * @returns {{ profile: string, complete: boolean, items: Array<object> }} - Missing or insufficient
+ * evidence, and files that couldn't be read
+ */
+export function checkCompleteness({ profile, manifest, statements = [], sources = [] }) {
+    const items = [];
+
+    for (const { file, error } of sources.filter((source) => source.error)) {
+        items.push({ requirement: 'files', status: 'unreadable', file, message: (unreadableRequests[error] ?? unreadableRequests.unreadable)(file) });
+    }
+
+    for (const requirement of profile.documents ?? []) {
+        const found = manifest.filter(({ category }) => requirement.categories.includes(category));
+        if (found.length < (requirement.minimum ?? 1)) {
+            items.push({ requirement: requirement.id, status: 'missing', message: `Please provide ${requirement.description}.` });
+        }
+    }
+
+    const statementRequirement = profile.statements;
+    if (statementRequirement) {
+        const months = statementRequirement.consecutiveMonths;
+        const statementDocuments = manifest.filter(({ category }) => statementRequirement.categories.includes(category));
+        const extracted = statements.filter(({ document }) => statementDocuments.some(({ filename }) => filename === document));
+
+        if (statementDocuments.length === 0) {
+            items.push({
+                requirement: 'statements',
+                status: 'missing',
+                message: `Please provide ${statementRequirement.description} covering at least ${months} consecutive months for every account.`,
+            });
+        }
+
+        for (const { filename } of statementDocuments) {
+            const statement = extracted.find(({ document }) => document === filename);
+            if (!statement || !parseDate(statement.periodStart) || !parseDate(statement.periodEnd)) {
+                items.push({
+                    requirement: 'statements',
+                    status: 'insufficient',
+                    document: filename,
+                    message: `The statement period of ${filename} could not be read. Please provide a clearer copy that shows the statement dates.`,
+                });
+            }
+        }
+
+        for (const { label, statements: accountStatements } of groupByAccount(extracted)) {
+            const coverage = longestCoverage(accountStatements);
+            if (coverage && addMonths(coverage.start, months).getTime() - toleranceDays * dayMs <= coverage.end.getTime()) {
+                continue;
+            }
+            items.push({
+                requirement: 'statements',
+                status: 'insufficient',
+                documents: accountStatements.map(({ document }) => document),
+                message: `Please provide statements for ${label} covering at least ${months} consecutive months` +
+                    (coverage ? ` (the statements supplied cover ${isoDate(coverage.start)} to ${isoDate(coverage.end)}).` : '.'),
+            });
+        }
+    }
+
+    return { profile: profile.name, complete: items.length === 0, items };
+}
+
+/**
+ * Render the missing evidence as a list that can be sent to the applicant
+ * @param {object} result - The result of checkCompleteness
+ * @returns {string}
+ */
+export function renderMissingEvidence(result) {
+    if (result.complete) {
+        return `All evidence required for the ${result.profile} application has been supplied.\n`;
+    }
+    return [
+        `To continue assessing your ${result.profile} application we need the following:`,
+        '',
+        ...result.items.map(({ message }) => `- ${message}`),
+        '',
+    ].join('\n');
+}
+
+async function readJson(filePath, fallback) {
+    try {
+        return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (err) {
+        if (err.code === 'ENOENT') return fallback;
+        throw err;
+    }
+}
+
+/**
+ * Check the manifest and statements in an output folder against a requirements profile and
+ * write missing_evidence.json and missing_evidence.txt
+ * @param {string} folder - The output folder
+ * @param {string} profilePath - The requirements profile
+ * @returns {Promise<object>} - The result of checkCompleteness
+ */
+export async function generateCompletenessReport(folder, profilePath = defaultProfilePath) {
+    const profile = await loadProfile(profilePath);
+    const manifest = await readJson(path.join(folder, 'manifest.json'), []);
+    const statements = await readJson(path.join(folder, 'statements.json'), []);
+    const sources = (await loadSources(folder))?.sources ?? [];
+
+    const result = checkCompleteness({ profile, manifest, statements, sources });
+
+    await fs.writeFile(path.join(folder, 'missing_evidence.json'), JSON.stringify(result, null, 2), 'utf8');
+    await fs.writeFile(path.join(folder, 'missing_evidence.txt'), renderMissingEvidence(result), 'utf8');
+
+    return result;
+}
@@ -0,0 +1,393 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { readCsv } from './statements.mjs';
+import { parseAmount } from './reconcile.mjs';
+
+const dayMs = 24 * 60 * 60 * 1000;
+
+// How far either side of a pay date a deposit is looked for: pay can clear a few days early and
+// is sometimes held over a weekend or public holiday
+const depositDaysBefore = 3;
+const depositDaysAfter = 7;
+// How far a deposit that isn't near its pay date is looked for, before it is called missing
+const looseDays = 31;
+// Payslip arithmetic is allowed this much rounding
+const arithmeticTolerance = 1;
+
+// Days between payments for the frequencies documents give
+const frequencyDays = { weekly: 7, fortnightly: 14, monthly: 31, quarterly: 92 };
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const parseDate = (value) => {
+    const date = value ? new Date(`${value}T00:00:00Z`) : null;
+    return date && !Number.isNaN(date.getTime()) ? date : null;
+};
+
+const isoDate = (date) => date.toISOString().slice(0, 10);
+
+const addDays = (date, days) => new Date(date.getTime() + days * dayMs);
+
+const money = (amount) => `$${amount.toFixed(2)}`;
+
+const sameAmount = (a, b) => Math.abs(a - b) < 0.005;
+
+const frequencyOf = (text) => Object.keys(frequencyDays).find((frequency) => String(text ?? '').toLowerCase().includes(frequency.replace('ly', ''))) ?? null;
+
+// Amounts a regular payment could appear as on a statement: weekly payments are often made a
+// fortnight at a time, and fortnightly ones weekly
+const paymentAmounts = (amount, frequency) => {
+    if (frequency === 'weekly') return [amount, round(amount * 2)];
+    if (frequency === 'fortnightly') return [amount, round(amount / 2)];
+    return [amount];
+};
+
+/**
+ * The statement transactions and the periods they cover, for finding payments
+ * @param {Array<object>} statements - The statements.json written by process-statements.mjs
+ * @param {Array<object>} rows - Rows of consolidated_statements.csv
+ */
+function createLedger(statements, rows) {
+    const transactions = rows
+        .map((row) => ({ date: parseDate(row.Date), amount: parseAmount(row.Amount), detail: row.TransactionDetail, document: row.Document }))
+        .filter(({ date, amount }) => date && !Number.isNaN(amount) && amount !== 0);
+    const periods = statements
+        .map(({ periodStart, periodEnd }) => ({ start: parseDate(periodStart), end: parseDate(periodEnd) }))
+        .filter(({ start, end }) => start && end)
+        .sort((a, b) => a.start - b.start);
+
+    return {
+        // The first and last days of any statement
+        start: periods[0]?.start ?? null,
+        end: periods.length > 0 ? new Date(Math.max(...periods.map(({ end }) => end))) : null,
+
+        /**
+         * Whether the statements cover every day from one date to another
+         */
+        covers(from, to) {
+            let reached = from;
+            for (const { start, end } of periods) {
+                if (start > addDays(reached, 1)) continue;
+                if (end >= reached) reached = end;
+                if (reached >= to) return true;
+            }
+            return false;
+        },
+
+        /**
+         * Transactions of any of the amounts between two dates, deposits if sign is 1 and
+         * payments if -1, closest to a date first
+         */
+        find({ amounts, sign, from, to, near = from }) {
+            return transactions
+                .filter(({ date, amount }) => date >= from && date <= to && Math.sign(amount) === sign &&
+                    amounts.some((expected) => sameAmount(Math.abs(amount), expected)))
+                .sort((a, b) => Math.abs(a.date - near) - Math.abs(b.date - near));
+        },
+    };
+}
+
+const describeTransaction = ({ date, amount, detail }) => `${money(Math.abs(amount))} on ${isoDate(date)}${detail ? ` (${detail})` : ''}`;
+
+// The documents a finding points to: the evidence and the statements with the matching transactions
+const involved = (document, transactions = []) => [...new Set([document, ...transactions.map((transaction) => transaction.document).filter(Boolean)])];
+
+/**
+ * Check that a payslip's net pay was deposited around its pay date
+ */
+function checkPayslipDeposit(ledger, { document, fields }) {
+    const { netPay, employer } = fields;
+    const payDate = parseDate(fields.payDate) ?? parseDate(fields.payPeriodEnd);
+    if (typeof netPay !== 'number' || !payDate) {
+        return { check: 'payslip-deposit', status: 'warn', message: `${document} has no net pay or pay date to look for in the statements.`, documents: [document] };
+    }
+
+    const amounts = [netPay];
+    const near = ledger.find({ amounts, sign: 1, from: addDays(payDate, -depositDaysBefore), to: addDays(payDate, depositDaysAfter), near: payDate });
+    if (near.length > 0) {
+        return { check: 'payslip-deposit', status: 'pass', message: `Net pay of ${money(netPay)}${employer ? ` from ${employer}` : ''} paid ${isoDate(payDate)} was deposited: ${describeTransaction(near[0])}.`, documents: involved(document, near.slice(0, 1)) };
+    }
+    const loose = ledger.find({ amounts, sign: 1, from: addDays(payDate, -looseDays), to: addDays(payDate, looseDays), near: payDate });
+    if (loose.length > 0) {
+        return { check: 'payslip-deposit', status: 'warn', message: `Net pay of ${money(netPay)} paid ${isoDate(payDate)} was not deposited within ${depositDaysBefore} days before or ${depositDaysAfter} days after the pay date; the closest deposit of that amount is ${describeTransaction(loose[0])}.`, documents: involved(document, loose.slice(0, 1)) };
+    }
+    if (!ledger.covers(payDate, addDays(payDate, depositDaysAfter))) {
+        return { check: 'payslip-deposit', status: 'warn', message: `No statement covers ${isoDate(payDate)}, the pay date of ${document}, so its net pay of ${money(netPay)} could not be checked.`, documents: [document] };
+    }
+    return { check: 'payslip-deposit', status: 'fail', message: `Net pay of ${money(netPay)} paid ${isoDate(payDate)} was not deposited into any account in the statements.`, documents: [document] };
+}
+
+/**
+ * Check that a payslip's deductions account for the difference between its gross and net pay
+ */
+function checkPayslipArithmetic({ document, fields }) {
+    const { grossPay, netPay } = fields;
+    if (typeof grossPay !== 'number' || typeof netPay !== 'number') {
+        return null;
+    }
+    if (netPay > grossPay) {
+        return { check: 'payslip-arithmetic', status: 'fail', message: `Net pay of ${money(netPay)} is more than the gross pay of ${money(grossPay)}.`, documents: [document] };
+    }
+    const deductions = ['paye', 'kiwisaverDeduction', 'studentLoanDeduction']
+        .map((field) => fields[field])
+        .filter((value) => typeof value === 'number');
+    const deducted = round(deductions.reduce((sum, value) => sum + Math.abs(value), 0));
+    if (Math.abs(grossPay - deducted - netPay) <= arithmeticTolerance) {
+        return { check: 'payslip-arithmetic', status: 'pass', message: `Gross pay of ${money(grossPay)} less deductions of ${money(deducted)} is the net pay of ${money(netPay)}.`, documents: [document] };
+    }
+    return { check: 'payslip-arithmetic', status: 'warn', message: `Gross pay of ${money(grossPay)} less PAYE, KiwiSaver and student loan deductions of ${money(deducted)} is ${money(round(grossPay - deducted))}, not the net pay of ${money(netPay)}; check for other deductions.`, documents: [document] };
+}
+
+/**
+ * Check that a benefit letter's net payment was deposited in the weeks around the letter
+ */
+function checkBenefitDeposit(ledger, { document, fields }) {
+    const { netPayment, benefitType } = fields;
+    const letterDate = parseDate(fields.letterDate);
+    if (typeof netPayment !== 'number' || !letterDate) {
+        return { check: 'benefit-deposit', status: 'warn', message: `${document} has no net payment or letter date to look for in the statements.`, documents: [document] };
+    }
+
+    // The letter gives the rate at its date, so payments at that rate are looked for a payment
+    // interval either side of it
+    const interval = frequencyDays[frequencyOf(fields.paymentFrequency)] ?? frequencyDays.weekly;
+    const from = addDays(letterDate, -interval - depositDaysAfter);
+    const to = addDays(letterDate, interval + depositDaysAfter);
+    const found = ledger.find({ amounts: [netPayment], sign: 1, from, to, near: letterDate });
+    const description = `${benefitType ? `${benefitType} of ` : 'Benefit payments of '}${money(netPayment)}`;
+    if (found.length > 0) {
+        return { check: 'benefit-deposit', status: 'pass', message: `${description} in ${document} was deposited: ${found.slice(0, 3).map(describeTransaction).join(', ')}.`, documents: involved(document, found) };
+    }
+    if (!ledger.covers(from, to)) {
+        return { check: 'benefit-deposit', status: 'warn', message: `No statement covers ${isoDate(from)} to ${isoDate(to)}, around the date of ${document}, so its payment of ${money(netPayment)} could not be checked.`, documents: [document] };
+    }
+    return { check: 'benefit-deposit', status: 'fail', message: `${description} in ${document} was not deposited into any account between ${isoDate(from)} and ${isoDate(to)}.`, documents: [document] };
+}
+
+// The regular payment each kind of document sets out. A loan statement shows the payments before
+// its date; a plan or tenancy those from when it starts.
+const repayments = {
+    loan: ({ fields }) => ({ amount: fields.regularPayment, frequency: fields.paymentFrequency, to: parseDate(fields.statementDate), party: fields.lender }),
+    'debt-plan': ({ fields }) => ({ amount: fields.instalment, frequency: fields.instalmentFrequency, from: parseDate(fields.firstPaymentDate), party: fields.creditor }),
+    tenancy: ({ fields }) => ({ amount: fields.rent, frequency: fields.rentFrequency, from: parseDate(fields.startDate), party: fields.landlord }),
+};
+
+/**
+ * Check that a loan, debt plan or rental agreement's regular payment is paid from the accounts
+ * in the statements: over the payment interval before a loan statement, or at any time the
+ * statements cover after a plan or tenancy starts
+ */
+function checkRepayment(ledger, document) {
+    const { amount, frequency: frequencyText, from: firstPayment, to: statementDate, party } = repayments[document.extractor](document);
+    const label = { loan: 'Repayment', 'debt-plan': 'Instalment', tenancy: 'Rent' }[document.extractor];
+    if (typeof amount !== 'number' || amount === 0) {
+        return null;
+    }
+
+    const frequency = frequencyOf(frequencyText);
+    const interval = (frequencyDays[frequency] ?? frequencyDays.monthly) + depositDaysAfter;
+    const description = `${label} of ${money(Math.abs(amount))}${frequency ? ` ${frequency}` : ''}${party ? ` to ${party}` : ''}`;
+    let from;
+    let to;
+    if (statementDate) {
+        [from, to] = [addDays(statementDate, -interval), statementDate];
+    } else if (ledger.start) {
+        from = firstPayment && firstPayment > ledger.start ? firstPayment : ledger.start;
+        to = ledger.end;
+    }
+    if (!from || !to || from > to) {
+        return { check: 'repayment', status: 'warn', message: `No statement covers the ${label.toLowerCase()} in ${document.document}, so it could not be checked.`, documents: [document.document] };
+    }
+
+    const found = ledger.find({ amounts: paymentAmounts(Math.abs(amount), frequency), sign: -1, from, to, near: from });
+    if (found.length > 0) {
+        return { check: 'repayment', status: 'pass', message: `${description} in ${document.document} was paid: ${found.slice(0, 3).map(describeTransaction).join(', ')}.`, documents: involved(document.document, found) };
+    }
+    if (!ledger.covers(from, to)) {
+        return { check: 'repayment', status: 'warn', message: `No statement covers ${isoDate(from)} to ${isoDate(to)}, so the ${label.toLowerCase()} in ${document.document} could not be checked.`, documents: [document.document] };
+    }
+    return { check: 'repayment', status: 'fail', message: `${description} in ${document.document} was not paid from any account between ${isoDate(from)} and ${isoDate(to)}.`, documents: [document.document] };
+}
+
+const nameWords = (name) => String(name ?? '').toLowerCase().replace(/[^a-z0-9& ]+/g, ' ').split(/\s+/).filter(Boolean);
+
+// Whether two names of companies share a word that isn't a generic one
+const sameParty = (a, b) => {
+    const generic = new Set(['limited', 'ltd', 'the', 'bank', 'nz', 'new', 'zealand', 'of', 'and', '&', 'finance', 'property', 'management']);
+    const words = new Set(nameWords(a).filter((word) => !generic.has(word)));
+    return nameWords(b).some((word) => words.has(word));
+};
+
+/**
+ * Check an arrears notice against the loan statements from the same creditor, and the
+ * repayments to them before the notice
+ */
+function checkArrears(ledger, notice, documents) {
+    const { creditor, amountOwing } = notice.fields;
+    const noticeDate = parseDate(notice.fields.noticeDate);
+    if (typeof amountOwing !== 'number' || !creditor) {
+        return [];
+    }
+    const related = documents.filter((document) => document !== notice && repayments[document.extractor] &&
+        sameParty(repayments[document.extractor](document).party, creditor));
+
+    const findings = [];
+    for (const loan of related.filter(({ extractor, fields }) => extractor === 'loan' && typeof fields.arrears === 'number')) {
+        const status = sameAmount(loan.fields.arrears, amountOwing) ? 'pass' : 'warn';
+        findings.push({
+            check: 'arrears',
+            status,
+            message: status === 'pass'
+                ? `Arrears of ${money(amountOwing)} to ${creditor} in ${notice.document} match ${loan.document}.`
+                : `Arrears of ${money(amountOwing)} to ${creditor} in ${notice.document} differ from the ${money(loan.fields.arrears)} in ${loan.document}.`,
+            documents: [notice.document, loan.document],
+        });
+    }
+
+    // Arrears are unlikely if every regular payment in the weeks before the notice was made
+    for (const document of related) {
+        const { amount, frequency: frequencyText } = repayments[document.extractor](document);
+        const frequency = frequencyOf(frequencyText);
+        if (typeof amount !== 'number' || !frequency || !noticeDate) continue;
+        const from = addDays(noticeDate, -4 * frequencyDays[frequency]);
+        if (!ledger.covers(from, noticeDate)) continue;
+        const paid = ledger.find({ amounts: paymentAmounts(Math.abs(amount), frequency), sign: -1, from, to: noticeDate });
+        const total = round(paid.reduce((sum, { amount: paidAmount }) => sum + Math.abs(paidAmount), 0));
+        const expected = round(Math.abs(amount) * 4);
+        findings.push(total >= expected
+            ? { check: 'arrears', status: 'warn', message: `${money(total)} was paid to ${creditor} in the ${4 * frequencyDays[frequency]} days before ${notice.document}, at least the ${money(expected)} due under ${document.document}, yet the notice claims arrears of ${money(amountOwing)}.`, documents: involved(notice.document, paid).concat(document.document) }
+            : { check: 'arrears', status: 'pass', message: `Only ${money(total)} of the ${money(expected)} due to ${creditor} under ${document.document} was paid in the ${4 * frequencyDays[frequency]} days before ${notice.document}, consistent with arrears of ${money(amountOwing)}.`, documents: involved(notice.document, paid).concat(document.document) });
+    }
+    return findings;
+}
+
+const titles = new Set(['mr', 'mrs', 'ms', 'miss', 'mx', 'dr', 'sir', 'dame']);
+
+// The people a name is for: joint account holders are written "A & B" or "A and B"
+const people = (name) => String(name ?? '')
+    .split(/\s*(?:&|\band\b|,|\/)\s*/i)
+    .map((person) => nameWords(person).filter((word) => !titles.has(word)))
+    .filter((words) => words.length > 0);
+
+// The same person if the surnames match and every given name or initial of the shorter agrees with the longer
+const samePerson = (a, b) => {
+    if (a[a.length - 1] !== b[b.length - 1]) return false;
+    const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+    return shorter.slice(0, -1).every((given) => longer.slice(0, -1).some((other) => other === given || (given.length === 1 && other.startsWith(given)) || (other.length === 1 && given.startsWith(other))));
+};
+
+const namesMatch = (a, b) => people(a).some((person) => people(b).some((other) => samePerson(person, other)));
+
+const addressAbbreviations = { street: 'st', road: 'rd', avenue: 'ave', drive: 'dr', place: 'pl', crescent: 'cres', terrace: 'tce', lane: 'ln', court: 'ct', flat: 'unit' };
+
+const addressWords = (address) => nameWords(address).map((word) => addressAbbreviations[word] ?? word);
+
+// Addresses agree if the words of the shorter are all in the longer, so a missing suburb or postcode doesn't matter
+const addressesMatch = (a, b) => {
+    const [shorter, longer] = [addressWords(a), addressWords(b)].sort((x, y) => x.length - y.length);
+    return shorter.length > 0 && shorter.every((word) => longer.includes(word));
+};
+
+/**
+ * Check the applicant's name and address on every document, and the holder of every statement,
+ * against the identity documents, or the first document naming someone if there are none
+ */
+function checkIdentity(statements, documents) {
+    const named = [
+        ...documents.filter(({ extractor }) => extractor === 'identity'),
+        ...documents.filter(({ extractor }) => extractor !== 'identity'),
+    ].filter(({ fields }) => fields?.personName).map(({ document, fields }) => ({ document, name: fields.personName, address: fields.address }));
+    named.push(...statements.filter(({ accountHolder }) => accountHolder).map(({ document, accountHolder, address }) => ({ document, name: accountHolder, address })));
+    if (named.length === 0) {
+        return [];
+    }
+
+    const [reference, ...others] = named;
+    const findings = [];
+    for (const other of others) {
+        findings.push(namesMatch(reference.name, other.name)
+            ? { check: 'identity-name', status: 'pass', message: `${other.name} in ${other.document} matches ${reference.name} in ${reference.document}.`, documents: [reference.document, other.document] }
+            : { check: 'identity-name', status: 'fail', message: `${other.name} in ${other.document} does not match the applicant, ${reference.name} in ${reference.document}.`, documents: [reference.document, other.document] });
+    }
+
+    // People move, so an address that differs is worth a look but isn't a failure
+    const addressed = named.filter(({ address }) => address);
+    const [home, ...rest] = addressed;
+    for (const other of rest) {
+        findings.push(addressesMatch(home.address, other.address)
+            ? { check: 'identity-address', status: 'pass', message: `The address in ${other.document} matches ${home.document}.`, documents: [home.document, other.document] }
+            : { check: 'identity-address', status: 'warn', message: `The address in ${other.document}, ${other.address}, differs from ${home.address} in ${home.document}.`, documents: [home.document, other.document] });
+    }
+    return findings;
+}
+
+/**
+ * Check the documents of an application against each other: payslip and benefit payments
+ * against the deposits in the statements, loan, debt plan and rent payments and arrears against
+ * the payments, and the applicant's name and address across every document
+ * @param {object} options
+ * @param {Array<object>} options.statements - The statements.json written by process-statements.mjs
+ * @param {Array<object>} options.transactions - Rows of consolidated_statements.csv
+ * @param {Array<object>} options.documents - The documents of extracted_documents.json
+ * @returns {{ summary: object, findings: Array<object> }} - Findings with check, status (pass,
+ * warn or fail), message and the documents involved, and the number of each status
+ */
+export function crossCheck({ statements = [], transactions = [], documents = [] }) {
+    const ledger = createLedger(statements, transactions);
+    const extracted = documents.filter(({ fields }) => fields);
+    const findings = [];
+
+    for (const document of extracted) {
+        if (document.extractor === 'payslip') {
+            findings.push(checkPayslipDeposit(ledger, document), checkPayslipArithmetic(document));
+        } else if (document.extractor === 'benefit') {
+            findings.push(checkBenefitDeposit(ledger, document));
+        } else if (repayments[document.extractor]) {
+            findings.push(checkRepayment(ledger, document));
+        } else if (document.extractor === 'arrears') {
+            findings.push(...checkArrears(ledger, document, extracted));
+        }
+    }
+    findings.push(...checkIdentity(statements, extracted));
+
+    const checked = findings.filter(Boolean);
+    const summary = { pass: 0, warn: 0, fail: 0 };
+    for (const { status } of checked) {
+        summary[status]++;
+    }
+    return { summary, findings: checked };
+}
+
+async function readJson(filePath, fallback) {
+    try {
+        return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (err) {
+        if (err.code === 'ENOENT') return fallback;
+        throw err;
+    }
+}
+
+/**
+ * Cross-check the statements and extracted documents in an output folder and write
+ * cross_checks.json
+ * @param {string} folder - The output folder
+ * @returns {Promise<object>} - The result of crossCheck
+ */
+export async function runCrossChecks(folder) {
+    const statements = await readJson(path.join(folder, 'statements.json'), []);
+    const { documents } = await readJson(path.join(folder, 'extracted_documents.json'), { documents: [] });
+    let transactions = [];
+    try {
+        transactions = await readCsv(path.join(folder, 'consolidated_statements.csv'));
+    } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+    }
+
+    const result = crossCheck({ statements, transactions, documents });
+    await fs.writeFile(path.join(folder, 'cross_checks.json'), JSON.stringify(result, null, 2), 'utf8');
+
+    for (const { status, message } of result.findings.filter(({ status }) => status !== 'pass')) {
+        console.warn(`${status.toUpperCase()}: ${message}`);
+    }
+    return result;
+}
@@ -0,0 +1,119 @@
+import { parseAmount } from './reconcile.mjs';
+import { statementAccount } from './statements.mjs';
+
+const dayMs = 24 * 60 * 60 * 1000;
+
+const parseDate = (value) => {
+    const date = value ? new Date(`${value}T00:00:00Z`) : null;
+    return date && !Number.isNaN(date.getTime()) ? date : null;
+};
+
+const periodLength = ({ periodStart, periodEnd }) => {
+    const start = parseDate(periodStart);
+    const end = parseDate(periodEnd);
+    return start && end ? end - start : -1;
+};
+
+/**
+ * Description of a transaction for comparison, ignoring case, spacing and punctuation
+ * @param {string} description
+ * @returns {string}
+ */
+export const normaliseDescription = (description) =>
+    String(description ?? '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+const transactionKey = (row) => {
+    const amount = parseAmount(row.Income) - parseAmount(row.Expenditure, { moneyOut: true });
+    return [String(row.Date ?? '').trim().toLowerCase(), amount.toFixed(2), normaliseDescription(row.TransactionDetail)].join('|');
+};
+
+/**
+ * Find statements for the same account whose periods overlap
+ * @param {Array<object>} statements - The entries of statements.json
+ * @returns {Array<object>} - One entry per overlapping pair, with the account, both documents and the shared dates
+ */
+export function findOverlaps(statements) {
+    const overlaps = [];
+    const byAccount = new Map();
+    for (const statement of statements) {
+        const { key } = statementAccount(statement);
+        byAccount.set(key, [...(byAccount.get(key) ?? []), statement]);
+    }
+
+    for (const accountStatements of byAccount.values()) {
+        const periods = accountStatements
+            .map((statement) => ({ statement, start: parseDate(statement.periodStart), end: parseDate(statement.periodEnd) }))
+            .filter(({ start, end }) => start && end)
+            .sort((a, b) => a.start - b.start);
+
+        for (let i = 0; i < periods.length; i++) {
+            for (let j = i + 1; j < periods.length && periods[j].start <= periods[i].end; j++) {
+                const from = periods[j].start;
+                const to = new Date(Math.min(periods[i].end, periods[j].end));
+                overlaps.push({
+                    account: statementAccount(periods[i].statement).label,
+                    documents: [periods[i].statement.document, periods[j].statement.document],
+                    from: from.toISOString().slice(0, 10),
+                    to: to.toISOString().slice(0, 10),
+                    days: Math.round((to - from) / dayMs) + 1,
+                });
+            }
+        }
+    }
+
+    return overlaps;
+}
+
+/**
+ * Remove transactions that appear in more than one statement for the same account. A
+ * transaction is a duplicate when another statement has the same date, amount and normalised
+ * description. Repeats within one statement are kept, since two identical purchases on the
+ * same day are common; a statement only loses as many copies as another statement already has.
+ * Statements covering the longest period are kept in preference to interim printouts.
+ * @param {Array<{ statement: object, rows: Array<object> }>} statementRows - Each statement with its transactions
+ * @returns {{ kept: Array<object>, removed: Array<object> }} - Kept rows with their Account, and removed rows
+ * with the file of the row they duplicate in KeptIn
+ */
+export function dedupeTransactions(statementRows) {
+    const kept = [];
+    const removed = [];
+    // Per account, how many copies of each transaction have been kept and the file they came from
+    const seen = new Map();
+    // The same account can be written differently on each statement, so label it consistently
+    const labels = new Map();
+
+    const ordered = [...statementRows].sort((a, b) => periodLength(b.statement) - periodLength(a.statement));
+
+    for (const { statement, rows } of ordered) {
+        const { key: account, label: statementLabel } = statementAccount(statement);
+        if (!seen.has(account)) {
+            seen.set(account, new Map());
+            labels.set(account, statementLabel);
+        }
+        const label = labels.get(account);
+        const accountSeen = seen.get(account);
+        const counts = new Map();
+
+        for (const row of rows) {
+            const key = transactionKey(row);
+            const occurrence = counts.get(key) ?? 0;
+            counts.set(key, occurrence + 1);
+
+            const previous = accountSeen.get(key);
+            if (previous && occurrence < previous.count) {
+                removed.push({ ...row, Account: label, KeptIn: previous.file });
+            } else {
+                kept.push({ ...row, Account: label });
+            }
+        }
+
+        for (const [key, count] of counts) {
+            const previous = accountSeen.get(key);
+            if (!previous || count > previous.count) {
+                accountSeen.set(key, { count, file: previous?.file ?? statement.file });
+            }
+        }
+    }
+
+    return { kept, removed };
+}
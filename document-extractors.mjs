@@ -0,0 +1,284 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { buildDocumentExtractionPrompt } from './prompts.mjs';
+import { documentExtractionSchema } from './schemas.mjs';
+import { getValidatedJson, InvalidResponseError } from './util.mjs';
+import { normaliseDate, parseStatementAmount } from './normalise.mjs';
+import { concurrency, mapWithConcurrency } from './http-client.mjs';
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Total of a field over documents, ignoring those without it
+const total = (documents, field) => {
+    const values = documents.map(({ fields }) => fields[field]).filter((value) => typeof value === 'number');
+    return values.length > 0 ? round(values.reduce((sum, value) => sum + value, 0)) : null;
+};
+
+// The document with the latest value of a date field
+const latest = (documents, field) =>
+    documents.filter(({ fields }) => fields[field]).sort((a, b) => b.fields[field].localeCompare(a.fields[field]))[0] ?? documents[0];
+
+// Who each document is about, so documents can be checked against each other
+const personFields = (person) => [
+    { name: 'personName', type: 'text', description: `the full name of ${person}` },
+    { name: 'address', type: 'text', description: `the address of ${person}` },
+];
+
+/**
+ * Extractors for the categories of document other than bank and credit card statements. Each
+ * lists the fields asked for, with their type (text, amount, date, number or items), those the
+ * document must have, anything particular to tell the model, and how its documents are summed
+ * up for the application.
+ */
+export const documentExtractors = [
+    {
+        name: 'identity',
+        categories: ['Financial hardship Kiwisaver withdrawal form', 'Identification method', 'Statutory declaration'],
+        fields: [
+            ...personFields('the applicant'),
+            { name: 'documentDate', type: 'date', description: 'the date the document was signed or issued' },
+        ],
+        required: ['personName'],
+        rollup: (documents) => ({
+            documents: documents.length,
+            names: [...new Set(documents.map(({ fields }) => fields.personName).filter(Boolean))],
+        }),
+    },
+    {
+        name: 'payslip',
+        categories: ['A payslip'],
+        fields: [
+            { name: 'employer', type: 'text', description: 'the employer' },
+            { name: 'payPeriodStart', type: 'date', description: 'the first day of the pay period' },
+            { name: 'payPeriodEnd', type: 'date', description: 'the last day of the pay period' },
+            { name: 'payDate', type: 'date', description: 'the date of payment' },
+            { name: 'payFrequency', type: 'text', description: 'weekly, fortnightly or monthly' },
+            { name: 'grossPay', type: 'amount', description: 'gross pay for the period, before deductions' },
+            { name: 'paye', type: 'amount', description: 'PAYE tax deducted' },
+            { name: 'kiwisaverDeduction', type: 'amount', description: 'the employee KiwiSaver contribution deducted' },
+            { name: 'studentLoanDeduction', type: 'amount', description: 'student loan repayment deducted' },
+            { name: 'netPay', type: 'amount', description: 'net pay for the period, after deductions' },
+            ...personFields('the employee'),
+        ],
+        required: ['grossPay', 'netPay'],
+        instructions: 'Use the amounts for this pay period, not the year to date totals.',
+        rollup: (documents) => ({
+            payslips: documents.length,
+            totalGrossPay: total(documents, 'grossPay'),
+            totalNetPay: total(documents, 'netPay'),
+            employers: [...new Set(documents.map(({ fields }) => fields.employer).filter(Boolean))],
+        }),
+    },
+    {
+        name: 'benefit',
+        categories: ['A letter from WINZ advising the breakdown of any benefit amount paid to you.'],
+        fields: [
+            { name: 'letterDate', type: 'date', description: 'the date of the letter' },
+            { name: 'benefitType', type: 'text', description: 'the main benefit, e.g. Jobseeker Support' },
+            { name: 'paymentFrequency', type: 'text', description: 'how often the payments are made, e.g. weekly' },
+            { name: 'payments', type: 'items', description: 'each benefit, supplement or deduction in the breakdown, as { "description", "amount" }, with deductions negative' },
+            { name: 'netPayment', type: 'amount', description: 'the total paid each time, after deductions' },
+            ...personFields('the person the letter is addressed to'),
+        ],
+        required: ['netPayment'],
+        rollup: (documents) => {
+            const { document, fields } = latest(documents, 'letterDate');
+            return { letters: documents.length, latest: { document, letterDate: fields.letterDate, paymentFrequency: fields.paymentFrequency, netPayment: fields.netPayment } };
+        },
+    },
+    {
+        name: 'arrears',
+        categories: ['A rent arrears notice', 'A mortgage or other payment arrears notice'],
+        fields: [
+            { name: 'creditor', type: 'text', description: 'the landlord, lender or company owed' },
+            { name: 'noticeDate', type: 'date', description: 'the date of the notice' },
+            { name: 'amountOwing', type: 'amount', description: 'the amount in arrears' },
+            { name: 'dueDate', type: 'date', description: 'the date the arrears must be paid by' },
+            { name: 'consequence', type: 'text', description: 'what the notice says will happen if the arrears are not paid, such as termination of a tenancy or a mortgagee sale' },
+            ...personFields('the person the notice is addressed to'),
+        ],
+        required: ['amountOwing'],
+        rollup: (documents) => ({
+            notices: documents.length,
+            totalAmountOwing: total(documents, 'amountOwing'),
+            creditors: [...new Set(documents.map(({ fields }) => fields.creditor).filter(Boolean))],
+        }),
+    },
+    {
+        name: 'loan',
+        categories: ['A loan statement', 'A mortgage statement'],
+        fields: [
+            { name: 'lender', type: 'text', description: 'the lender' },
+            { name: 'statementDate', type: 'date', description: 'the date of the statement, or the end of its period' },
+            { name: 'balance', type: 'amount', description: 'the balance owing' },
+            { name: 'regularPayment', type: 'amount', description: 'the regular repayment amount' },
+            { name: 'paymentFrequency', type: 'text', description: 'how often repayments are due, e.g. fortnightly' },
+            { name: 'arrears', type: 'amount', description: 'any amount overdue' },
+            ...personFields('the borrower'),
+        ],
+        required: ['balance'],
+        rollup: (documents) => ({
+            statements: documents.length,
+            totalBalance: total(documents, 'balance'),
+            totalArrears: total(documents, 'arrears'),
+        }),
+    },
+    {
+        name: 'debt-plan',
+        categories: ['Evidence of a debt payment plan'],
+        fields: [
+            { name: 'creditor', type: 'text', description: 'the company or agency owed' },
+            { name: 'agreementDate', type: 'date', description: 'the date of the plan' },
+            { name: 'totalOwing', type: 'amount', description: 'the total debt covered by the plan' },
+            { name: 'instalment', type: 'amount', description: 'the amount of each payment' },
+            { name: 'instalmentFrequency', type: 'text', description: 'how often payments are made, e.g. weekly' },
+            { name: 'firstPaymentDate', type: 'date', description: 'the date of the first payment' },
+            ...personFields('the person paying the debt'),
+        ],
+        required: ['instalment'],
+        rollup: (documents) => ({
+            plans: documents.length,
+            totalOwing: total(documents, 'totalOwing'),
+            instalments: documents.map(({ document, fields }) => ({ document, creditor: fields.creditor, instalment: fields.instalment, frequency: fields.instalmentFrequency })),
+        }),
+    },
+    {
+        name: 'kiwisaver',
+        categories: ['Kiwisaver statement'],
+        fields: [
+            { name: 'provider', type: 'text', description: 'the KiwiSaver scheme provider' },
+            { name: 'periodStart', type: 'date', description: 'the first day of the statement period' },
+            { name: 'periodEnd', type: 'date', description: 'the last day of the statement period' },
+            { name: 'openingBalance', type: 'amount', description: 'the balance at the start of the period' },
+            { name: 'closingBalance', type: 'amount', description: 'the balance at the end of the period' },
+            ...personFields('the member'),
+        ],
+        required: ['closingBalance'],
+        rollup: (documents) => {
+            const { document, fields } = latest(documents, 'periodEnd');
+            return { statements: documents.length, latestBalance: fields.closingBalance, asAt: fields.periodEnd, document };
+        },
+    },
+    {
+        name: 'tenancy',
+        categories: ['A rental agreement'],
+        fields: [
+            { name: 'landlord', type: 'text', description: 'the landlord or property manager' },
+            { name: 'startDate', type: 'date', description: 'the start date of the tenancy' },
+            { name: 'rent', type: 'amount', description: 'the rent' },
+            { name: 'rentFrequency', type: 'text', description: 'how often rent is paid, e.g. weekly' },
+            { name: 'bond', type: 'amount', description: 'the bond' },
+            ...personFields('the tenant'),
+        ],
+        required: ['rent'],
+        rollup: (documents) => {
+            const { document, fields } = latest(documents, 'startDate');
+            return { agreements: documents.length, latest: { document, rent: fields.rent, rentFrequency: fields.rentFrequency } };
+        },
+    },
+    {
+        name: 'expense',
+        categories: ['Evidence of unexpected expenses'],
+        fields: [
+            { name: 'supplier', type: 'text', description: 'who the expense is owed or was paid to' },
+            { name: 'date', type: 'date', description: 'the date of the invoice, quote or receipt' },
+            { name: 'description', type: 'text', description: 'what the expense is for' },
+            { name: 'amount', type: 'amount', description: 'the total amount' },
+            ...personFields('the customer'),
+        ],
+        required: ['amount'],
+        rollup: (documents) => ({ expenses: documents.length, totalAmount: total(documents, 'amount') }),
+    },
+];
+
+/**
+ * The extractor for a document category
+ * @param {string} category
+ * @returns {object|undefined}
+ */
+export const extractorFor = (category) => documentExtractors.find(({ categories }) => categories.includes(category));
+
+/**
+ * Normalise the fields of an extraction: dates to YYYY-MM-DD and amounts to numbers. Values that
+ * can't be normalised are kept as extracted and reported.
+ * @param {Array<object>} fields - The extractor's fields
+ * @param {object} values - The extracted values
+ * @returns {{ fields: object, issues: Array<object> }}
+ */
+export function normaliseFields(fields, values) {
+    const issues = [];
+    const amount = (field, value) => {
+        const parsed = parseStatementAmount(value);
+        if (parsed.error) issues.push({ field, value, message: parsed.error });
+        return parsed.error ? value : parsed.amount;
+    };
+
+    const normalised = {};
+    for (const { name, type } of fields) {
+        const value = values[name] ?? null;
+        if (value === null || value === '') {
+            normalised[name] = null;
+        } else if (type === 'amount') {
+            normalised[name] = amount(name, value);
+        } else if (type === 'date') {
+            const { date, error } = normaliseDate(value);
+            if (error) issues.push({ field: name, value, message: error });
+            normalised[name] = date ?? value;
+        } else if (type === 'items') {
+            normalised[name] = value.map((item) => ({ ...item, amount: item.amount === undefined ? null : amount(`${name}.amount`, item.amount) }));
+        } else {
+            normalised[name] = value;
+        }
+    }
+    return { fields: normalised, issues };
+}
+
+/**
+ * Extract the details of every split document whose category has an extractor. Each document's
+ * are written to <document>_extracted.json, and extracted_documents.json rolls them up for the
+ * application, by extractor.
+ * @param {string} folder - The output folder of a split
+ * @returns {Promise<object>} - The rollup
+ */
+export async function extractDocuments(folder) {
+    const manifest = JSON.parse(await fs.readFile(path.join(folder, 'manifest.json'), 'utf8'));
+    const documents = manifest.filter(({ category }) => extractorFor(category));
+
+    const results = await mapWithConcurrency(documents, concurrency, async ({ filename, category }) => {
+        const extractor = extractorFor(category);
+        const text = await fs.readFile(path.join(folder, filename.replace(/\.pdf$/i, '_raw_ocr.txt')), 'utf8');
+        let values;
+        try {
+            values = await getValidatedJson(
+                buildDocumentExtractionPrompt(category, extractor.fields, extractor.instructions, text),
+                documentExtractionSchema(extractor.fields, extractor.required),
+                { maxTokens: 1000 }
+            );
+        } catch (error) {
+            if (!(error instanceof InvalidResponseError)) throw error;
+            console.error(`Skipping ${filename}, the model did not return valid ${extractor.name} details: ${error.message}`);
+            return { document: filename, category, extractor: extractor.name, fields: null, issues: [{ message: error.message }] };
+        }
+
+        const { fields, issues } = normaliseFields(extractor.fields, values);
+        for (const issue of issues) {
+            console.warn(`Could not normalise ${issue.field} of ${filename}: ${issue.message}`);
+        }
+        const result = { document: filename, category, extractor: extractor.name, fields, issues };
+        await fs.writeFile(path.join(folder, filename.replace(/\.pdf$/i, '_extracted.json')), JSON.stringify(result, null, 2), 'utf8');
+        console.log(`Extracted ${extractor.name} details from ${filename}`);
+        return result;
+    });
+
+    const summary = {};
+    for (const extractor of documentExtractors) {
+        const extracted = results.filter(({ extractor: name, fields }) => name === extractor.name && fields);
+        if (extracted.length > 0) {
+            summary[extractor.name] = extractor.rollup(extracted);
+        }
+    }
+    const rollup = { documents: results, summary };
+    await fs.writeFile(path.join(folder, 'extracted_documents.json'), JSON.stringify(rollup, null, 2), 'utf8');
+
+    return rollup;
+}
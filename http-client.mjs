@@ -0,0 +1,186 @@
+import axios from 'axios';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Requests to each service that can be in flight at once; also how many page analysis batches
+// and statement files are processed at a time
+export const concurrency = Math.max(1, Number(process.env.HTTP_CONCURRENCY || 1));
+const maxRetries = Number(process.env.HTTP_MAX_RETRIES ?? 5);
+const retryBaseMs = Number(process.env.HTTP_RETRY_BASE_MS || 1000);
+const retryMaxMs = Number(process.env.HTTP_RETRY_MAX_MS || 60000);
+const requestTimeoutMs = Number(process.env.HTTP_TIMEOUT_MS || 300000);
+
+// Throttling, timeouts and server errors that are worth trying again
+const retryableStatuses = new Set([408, 429, 500, 502, 503, 504]);
+const retryableCodes = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'EPIPE', 'ENOTFOUND']);
+
+/**
+ * A request that failed for good, after any retries
+ */
+export class HttpError extends Error {
+    constructor(message, { service, url, status, data, attempts }) {
+        super(message);
+        this.name = 'HttpError';
+        this.service = service;
+        this.url = url;
+        this.status = status;
+        this.data = data;
+        this.attempts = attempts;
+        // Kept in the shape of an axios error for callers that report error.response.data
+        this.response = status ? { status, data } : undefined;
+    }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * How long to wait before trying again. A Retry-After header, in seconds or as a date, is
+ * honoured; otherwise the wait doubles with each attempt, with some jitter so parallel requests
+ * don't retry together.
+ * @param {number} attempt - The attempt that failed, from 1
+ * @param {string} [retryAfter] - The Retry-After header of the response
+ * @returns {number} - Milliseconds
+ */
+export function retryDelay(attempt, retryAfter) {
+    if (retryAfter) {
+        const seconds = Number(retryAfter);
+        const ms = Number.isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+        if (!Number.isNaN(ms)) return Math.min(Math.max(ms, 0), retryMaxMs);
+    }
+    const backoff = retryBaseMs * 2 ** (attempt - 1);
+    return Math.min(backoff * (0.75 + Math.random() * 0.5), retryMaxMs);
+}
+
+/**
+ * Limit how many calls of a function run at once
+ * @param {number} limit
+ * @returns {function(function(): Promise<*>): Promise<*>} - Runs a call once a slot is free
+ */
+export function createLimiter(limit) {
+    let active = 0;
+    const queue = [];
+    const next = () => {
+        if (active >= limit || queue.length === 0) return;
+        active++;
+        const { task, resolve, reject } = queue.shift();
+        task().then(resolve, reject).finally(() => {
+            active--;
+            next();
+        });
+    };
+    return (task) => new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        next();
+    });
+}
+
+/**
+ * Map items with at most limit calls running at once. No more items are started once one has
+ * failed; the first error is thrown when those running have finished.
+ * @param {Array<*>} items
+ * @param {number} limit
+ * @param {function(*, number): Promise<*>} fn - Called with each item and its index
+ * @returns {Promise<Array<*>>} - The results, in the order of the items
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+    let failure = null;
+    const worker = async () => {
+        while (!failure && nextIndex < items.length) {
+            const index = nextIndex++;
+            try {
+                results[index] = await fn(items[index], index);
+            } catch (error) {
+                failure ??= { error };
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    if (failure) throw failure.error;
+    return results;
+}
+
+const limiters = new Map();
+const limiterFor = (service) => {
+    if (!limiters.has(service)) limiters.set(service, createLimiter(concurrency));
+    return limiters.get(service);
+};
+
+const describe = (service, method, url) => `${service} ${method.toUpperCase()} ${new URL(url).origin}${new URL(url).pathname}`;
+
+/**
+ * Make an HTTP request, retrying throttled requests, server errors and network errors with
+ * exponential backoff. Requests to a service are limited to HTTP_CONCURRENCY at a time.
+ * @param {object} options
+ * @param {string} options.service - Name of the service, for the limit and for errors
+ * @param {string} options.method - get or post
+ * @param {string} options.url
+ * @param {*} options.data - The request body
+ * @param {object} options.headers
+ * @returns {Promise<import('axios').AxiosResponse>}
+ * @throws {HttpError} - If the request failed with an error that isn't retried, or failed on every attempt
+ */
+export async function request({ service, method = 'get', url, data, headers }) {
+    const limit = limiterFor(service);
+    for (let attempt = 1; ; attempt++) {
+        let error;
+        try {
+            return await limit(() => axios.request({ method, url, data, headers, timeout: requestTimeoutMs }));
+        } catch (err) {
+            error = err;
+        }
+
+        const status = error.response?.status;
+        const retryable = status ? retryableStatuses.has(status) : retryableCodes.has(error.code);
+        if (!retryable || attempt > maxRetries) {
+            const reason = status ? `HTTP ${status}` : error.code || error.message;
+            const detail = error.response?.data ? `: ${JSON.stringify(error.response.data).slice(0, 500)}` : '';
+            throw new HttpError(
+                `${describe(service, method, url)} failed with ${reason}${attempt > 1 ? ` after ${attempt} attempts` : ''}${detail}`,
+                { service, url, status, data: error.response?.data, attempts: attempt }
+            );
+        }
+
+        const delay = retryDelay(attempt, error.response?.headers?.['retry-after']);
+        console.warn(`${describe(service, method, url)} failed with ${status ? `HTTP ${status}` : error.code}, retrying in ${Math.round(delay / 100) / 10}s (attempt ${attempt} of ${maxRetries + 1})`);
+        await sleep(delay);
+    }
+}
+
+/**
+ * Poll an Azure long-running operation until it finishes. The operation is polled while it is
+ * notStarted or running, at the interval its Retry-After header asks for.
+ * @param {object} options
+ * @param {string} options.service
+ * @param {string} options.url - The Operation-Location of the operation
+ * @param {object} options.headers
+ * @param {number} options.intervalMs - Interval when the service doesn't give one
+ * @param {number} options.timeoutMs - How long to wait for the operation overall
+ * @returns {Promise<object>} - The body of the succeeded operation
+ * @throws {HttpError} - If the operation failed or didn't finish in time
+ */
+export async function pollOperation({ service, url, headers, intervalMs = 2000, timeoutMs = 10 * 60 * 1000 }) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+        const response = await request({ service, method: 'get', url, headers });
+        const { status } = response.data ?? {};
+
+        if (status === 'succeeded') {
+            return response.data;
+        }
+        if (status !== 'notStarted' && status !== 'running') {
+            const detail = response.data?.error ? `: ${JSON.stringify(response.data.error)}` : '';
+            throw new HttpError(`${service} operation ended with status "${status}"${detail}`, { service, url, status: response.status, data: response.data });
+        }
+
+        const retryAfter = response.headers?.['retry-after'];
+        const delay = retryAfter ? retryDelay(1, retryAfter) : intervalMs;
+        if (Date.now() + delay > deadline) {
+            throw new HttpError(`${service} operation did not finish within ${Math.round(timeoutMs / 1000)}s (last status "${status}")`, { service, url, status: response.status, data: response.data });
+        }
+        console.log(`Operation ${status}, checking again in ${Math.round(delay / 100) / 10}s`);
+        await sleep(delay);
+    }
+}
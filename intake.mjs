@@ -0,0 +1,233 @@
+import fs from 'fs/promises';
+import path from 'path';
+import PDFLib from 'pdf-lib';
+// The package entry point parses a bundled test file when imported as an ES module
+import pdf from 'pdf-parse/lib/pdf-parse.js';
+
+export class IntakeError extends Error {}
+
+const imageTypes = { '.jpg': 'jpg', '.jpeg': 'jpg', '.png': 'png' };
+
+// Photos are scaled to fit an A4 page, in points, turned to suit the photo
+const a4 = [595.28, 841.89];
+
+const sourcesFile = 'sources.json';
+const assembledFile = 'application.pdf';
+
+const byName = (a, b) => a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+
+/**
+ * The files of an application: files as given, and the files in any folder, by name. Hidden
+ * files and subfolders are left out.
+ * @param {string|string[]} inputs - Files and folders
+ * @returns {Promise<string[]>}
+ */
+export async function listInputs(inputs) {
+    const files = [];
+    for (const input of [].concat(inputs)) {
+        if (!(await fs.stat(input)).isDirectory()) {
+            files.push(input);
+            continue;
+        }
+        const entries = await fs.readdir(input, { withFileTypes: true });
+        files.push(...entries
+            .filter((entry) => entry.isFile() && !entry.name.startsWith('.'))
+            .map(({ name }) => name)
+            .sort(byName)
+            .map((name) => path.join(input, name)));
+    }
+    return files;
+}
+
+/**
+ * The rotation a JPEG's EXIF orientation asks for, clockwise in degrees. Phones save photos as
+ * the sensor captured them and record which way up they were held. Mirrored orientations are
+ * read as not rotated.
+ * @param {Uint8Array} bytes
+ * @returns {number} - 0, 90, 180 or 270
+ */
+export function jpegOrientation(bytes) {
+    const data = Buffer.from(bytes);
+    if (data.readUInt16BE(0) !== 0xffd8) return 0;
+    let offset = 2;
+    while (offset + 4 <= data.length && data[offset] === 0xff) {
+        const marker = data[offset + 1];
+        const length = data.readUInt16BE(offset + 2);
+        if (marker === 0xda) break; // Image data starts, with no EXIF before it
+        if (marker === 0xe1 && data.toString('latin1', offset + 4, offset + 10) === 'Exif\0\0') {
+            const tiff = offset + 10;
+            const little = data.toString('latin1', tiff, tiff + 2) === 'II';
+            const read16 = (at) => (little ? data.readUInt16LE(at) : data.readUInt16BE(at));
+            const read32 = (at) => (little ? data.readUInt32LE(at) : data.readUInt32BE(at));
+            const ifd = tiff + read32(tiff + 4);
+            for (let entry = 0; entry < read16(ifd); entry++) {
+                const at = ifd + 2 + entry * 12;
+                if (read16(at) === 0x0112) {
+                    return { 3: 180, 6: 90, 8: 270 }[read16(at + 8)] ?? 0;
+                }
+            }
+            return 0;
+        }
+        offset += 2 + length;
+    }
+    return 0;
+}
+
+/**
+ * Add a photo or scan to a PDF as a page of its own, the right way up and scaled to fit A4
+ */
+async function addImagePage(pdfDoc, bytes, type) {
+    const image = type === 'png' ? await pdfDoc.embedPng(bytes) : await pdfDoc.embedJpg(bytes);
+    const rotation = type === 'jpg' ? jpegOrientation(bytes) : 0;
+    const turned = rotation === 90 || rotation === 270;
+    const [uprightWidth, uprightHeight] = turned ? [image.height, image.width] : [image.width, image.height];
+    const [boxWidth, boxHeight] = uprightWidth > uprightHeight ? [a4[1], a4[0]] : a4;
+    const scale = Math.min(boxWidth / uprightWidth, boxHeight / uprightHeight);
+    const [width, height] = [image.width * scale, image.height * scale];
+    const page = pdfDoc.addPage([uprightWidth * scale, uprightHeight * scale]);
+
+    // The image is drawn turned about its bottom left corner, which is placed at the corner of
+    // the page it ends up in
+    const { width: pageWidth, height: pageHeight } = page.getSize();
+    const placement = {
+        0: { x: 0, y: 0 },
+        90: { x: 0, y: pageHeight },
+        180: { x: pageWidth, y: pageHeight },
+        270: { x: pageWidth, y: 0 },
+    }[rotation];
+    page.drawImage(image, { ...placement, width, height, rotate: PDFLib.degrees(-rotation) });
+}
+
+/**
+ * Why an encrypted PDF can't be read. pdf-lib can't decrypt any PDF; pdf.js can open one whose
+ * encryption only restricts editing and printing, but not one that needs a password.
+ * @returns {Promise<{ error: string, message: string }>}
+ */
+async function encryptionError(file, bytes) {
+    try {
+        await pdf(new Uint8Array(bytes), { max: 1 });
+        return { error: 'restricted', message: `${file} is encrypted to restrict editing, so it can't be combined with the other files. A copy without restrictions, or printed to a new PDF, is needed.` };
+    } catch (err) {
+        if (err.name === 'PasswordException') {
+            return { error: 'password', message: `${file} is password protected. A copy without a password is needed.` };
+        }
+        return { error: 'unreadable', message: `${file} is encrypted and could not be read (${err.message}). A copy without encryption is needed.` };
+    }
+}
+
+/**
+ * Load one input PDF, or the reason it can't be read
+ * @returns {Promise<{ pdfDoc: object }|{ error: string, message: string }>}
+ */
+async function loadInputPdf(file, bytes) {
+    let pdfDoc;
+    try {
+        // Loaded regardless of encryption to tell encrypted files from damaged ones; pdf-lib's
+        // own EncryptedPDFError can't be told apart from other errors
+        pdfDoc = await PDFLib.PDFDocument.load(bytes, { ignoreEncryption: true });
+    } catch (err) {
+        return { error: 'unreadable', message: `${file} could not be read as a PDF (${err.message}). A new copy is needed.` };
+    }
+    return pdfDoc.isEncrypted ? encryptionError(file, bytes) : { pdfDoc };
+}
+
+/**
+ * Combine the files of an application into one PDF: the pages of each PDF in turn, and each photo
+ * as a page. A single PDF is used as it is. Files that can't be read, such as password protected
+ * PDFs and unsupported formats, are left out and reported. Where each page came from is written
+ * to sources.json.
+ * @param {string[]} files - From listInputs
+ * @param {string} outputFolder - Where the combined application.pdf is written, if one is needed
+ * @returns {Promise<object>} - pdf, the PDF to split; sources, each file with its type, the pages
+ * of the application it became or its error; and pages, the file and page each page came from
+ * @throws {IntakeError} - If no page could be read from any file
+ */
+export async function assembleApplication(files, outputFolder) {
+    const sources = [];
+    const pages = [];
+    const loaded = [];
+
+    for (const filePath of files) {
+        const file = path.basename(filePath);
+        const extension = path.extname(file).toLowerCase();
+        const bytes = await fs.readFile(filePath);
+
+        if (extension === '.pdf') {
+            const result = await loadInputPdf(file, bytes);
+            if (result.error) {
+                sources.push({ file, path: path.resolve(filePath), type: 'pdf', pages: [], error: result.error, message: result.message });
+                continue;
+            }
+            loaded.push({ file, filePath, type: 'pdf', pdfDoc: result.pdfDoc });
+        } else if (imageTypes[extension]) {
+            loaded.push({ file, filePath, type: 'image', bytes, imageType: imageTypes[extension] });
+        } else {
+            sources.push({ file, path: path.resolve(filePath), type: 'unsupported', pages: [], error: 'unsupported', message: `${file} is not a PDF, JPG or PNG file. A copy in one of those formats is needed.` });
+        }
+    }
+
+    let pdfPath;
+    if (loaded.length === 1 && loaded[0].type === 'pdf') {
+        // Nothing to combine, so the page numbers and file are the original's
+        const [{ file, filePath, pdfDoc }] = loaded;
+        pdfPath = path.resolve(filePath);
+        const count = pdfDoc.getPageCount();
+        sources.push({ file, path: pdfPath, type: 'pdf', pages: Array.from({ length: count }, (_, index) => index + 1) });
+        pages.push(...Array.from({ length: count }, (_, index) => ({ pageNumber: index + 1, file, page: index + 1 })));
+    } else if (loaded.length > 0) {
+        const combined = await PDFLib.PDFDocument.create();
+        for (const { file, filePath, type, pdfDoc, bytes, imageType } of loaded) {
+            const first = combined.getPageCount() + 1;
+            if (type === 'pdf') {
+                const copied = await combined.copyPages(pdfDoc, pdfDoc.getPageIndices());
+                copied.forEach((page) => combined.addPage(page));
+            } else {
+                try {
+                    await addImagePage(combined, bytes, imageType);
+                } catch (err) {
+                    sources.push({ file, path: path.resolve(filePath), type, pages: [], error: 'unreadable', message: `${file} could not be read as an image (${err.message}). A new copy is needed.` });
+                    continue;
+                }
+            }
+            const filePages = Array.from({ length: combined.getPageCount() - first + 1 }, (_, index) => first + index);
+            sources.push({ file, path: path.resolve(filePath), type, pages: filePages });
+            pages.push(...filePages.map((pageNumber, index) => ({ pageNumber, file, page: index + 1 })));
+        }
+        if (pages.length > 0) {
+            pdfPath = path.resolve(outputFolder, assembledFile);
+            await fs.writeFile(pdfPath, await combined.save());
+        }
+    }
+
+    // Sources are listed in the order the files were given
+    sources.sort((a, b) => files.findIndex((file) => path.resolve(file) === a.path) - files.findIndex((file) => path.resolve(file) === b.path));
+    const errors = sources.filter(({ error }) => error);
+    for (const { message } of errors) {
+        console.error(message);
+    }
+    if (pages.length === 0) {
+        throw new IntakeError(`No pages could be read from ${files.length === 1 ? files[0] : `any of ${files.length} files`}${errors.length > 0 ? `: ${errors.map(({ message }) => message).join(' ')}` : ''}`);
+    }
+
+    const intake = { pdf: pdfPath, sources, pages };
+    await fs.writeFile(path.join(outputFolder, sourcesFile), JSON.stringify(intake, null, 2), 'utf8');
+    if (files.length > 1) {
+        console.log(`Combined ${sources.length - errors.length} of ${files.length} files into ${pages.length} pages`);
+    }
+    return intake;
+}
+
+/**
+ * Read the sources of a split's pages
+ * @param {string} folder - The output folder of a split
+ * @returns {Promise<object|null>} - As returned by assembleApplication, or null for a split from
+ * before files were combined
+ */
+export async function loadSources(folder) {
+    try {
+        return JSON.parse(await fs.readFile(path.join(folder, sourcesFile), 'utf8'));
+    } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+    }
+}
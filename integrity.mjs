@@ -0,0 +1,303 @@
+import fs from 'fs/promises';
+import PDFLib from 'pdf-lib';
+import { isStatementCategory } from './statements.mjs';
+import { extractTableBalances } from './tables.mjs';
+import { formatPageRanges } from './report.mjs';
+import { parseStatementAmount } from './normalise.mjs';
+import { isBalanceRow } from './reconcile.mjs';
+
+// Producers and creators that are tools for editing PDFs or images, rather than the systems
+// that issue statements, payslips and letters
+const editingTools = [
+    'acrobat pro', 'acrobat standard', 'ilovepdf', 'smallpdf', 'sejda', 'pdfescape', 'pdf-xchange', 'phantompdf',
+    'foxit pdf editor', 'nitro', 'pdfelement', 'wondershare', 'pdffiller', 'dochub', 'pdf candy', 'soda pdf', 'pdf24',
+    'canva', 'photoshop', 'gimp', 'inkscape',
+];
+
+// A document saved again this long after it was created has been changed since it was issued
+const modifiedAfterMs = 24 * 60 * 60 * 1000;
+// Page sizes differing by less than this many points are the same size
+const sizeTolerance = 2;
+const balanceTolerance = 0.005;
+
+// A transaction line of a statement's text: a date, the details, then its amount and the balance
+// after it, or a balance row with only the balance
+const moneyPattern = String.raw`\(?-?\$?\d{1,3}(?:,\d{3})*\.\d{2}\)?-?(?:\s?(?:CR|DR))?`;
+const transactionLinePattern = new RegExp(String.raw`^(\d{1,2}[ /.-](?:\d{1,2}|[A-Za-z]{3,9})(?:[ /.-]\d{2,4})?)\s+(.*?)\s+(${moneyPattern})(?:\s+(${moneyPattern}))?$`, 'i');
+
+const flag = (type, severity, message, pages) => ({ type, severity, message, ...(pages ? { pages } : {}) });
+
+// pdf-lib throws on dates it can't parse; those are treated as missing
+const safeDate = (read) => {
+    try {
+        return read() ?? null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Count the revisions of a PDF from its end-of-file markers. Each incremental update appends
+ * changes to the file with another marker; a linearized file has two to begin with.
+ * @param {Uint8Array} bytes
+ * @returns {{ linearized: boolean, incrementalUpdates: number }}
+ */
+function countRevisions(bytes) {
+    const text = Buffer.from(bytes).toString('latin1');
+    const markers = text.match(/%%EOF/g)?.length ?? 0;
+    const linearized = /\/Linearized\b/.test(text.slice(0, 2048));
+    return { linearized, incrementalUpdates: Math.max(0, markers - (linearized ? 2 : 1)) };
+}
+
+/**
+ * Read an input PDF's document info, revisions and page geometry, and flag signs that it was
+ * edited: an editing tool as its producer or creator, incremental updates, and a modification
+ * date well after its creation date
+ * @param {Uint8Array} bytes - The PDF
+ * @returns {Promise<object>} - producer, creator, creationDate, modificationDate, linearized,
+ * incrementalUpdates, the width, height and rotation of each page, and flags
+ */
+export async function inspectPdf(bytes) {
+    // Loading normally would stamp pdf-lib as the producer and now as the modification date
+    const pdfDoc = await PDFLib.PDFDocument.load(bytes, { updateMetadata: false });
+    const creationDate = safeDate(() => pdfDoc.getCreationDate());
+    const modificationDate = safeDate(() => pdfDoc.getModificationDate());
+    const info = {
+        producer: pdfDoc.getProducer() ?? null,
+        creator: pdfDoc.getCreator() ?? null,
+        creationDate: creationDate?.toISOString() ?? null,
+        modificationDate: modificationDate?.toISOString() ?? null,
+        ...countRevisions(bytes),
+        pages: pdfDoc.getPages().map((page, index) => {
+            const { width, height } = page.getSize();
+            return { pageNumber: index + 1, width: Math.round(width), height: Math.round(height), rotation: ((page.getRotation().angle % 360) + 360) % 360 };
+        }),
+    };
+
+    const flags = [];
+    for (const field of ['producer', 'creator']) {
+        const tool = editingTools.find((name) => info[field]?.toLowerCase().includes(name));
+        if (tool) {
+            flags.push(flag('editing-tool', 'medium', `The PDF's ${field} is ${info[field]}, a tool for editing PDFs or images`));
+        }
+    }
+    if (info.incrementalUpdates > 0) {
+        flags.push(flag('incremental-update', 'medium', `The PDF was changed after it was first saved (${info.incrementalUpdates} incremental update${info.incrementalUpdates === 1 ? '' : 's'})`));
+    }
+    if (creationDate && modificationDate && modificationDate - creationDate > modifiedAfterMs) {
+        flags.push(flag('modified-after-creation', 'low', `The PDF was modified on ${info.modificationDate.slice(0, 10)}, after it was created on ${info.creationDate.slice(0, 10)}`));
+    }
+    if (creationDate && modificationDate && modificationDate < creationDate) {
+        flags.push(flag('modified-before-creation', 'medium', `The PDF's modification date, ${info.modificationDate.slice(0, 10)}, is before its creation date, ${info.creationDate.slice(0, 10)}`));
+    }
+    return { ...info, flags };
+}
+
+/**
+ * Inspect an application: each of its input PDFs, and the size and rotation of every page of the
+ * PDF that is split
+ * @param {Uint8Array} pdfBytes - The PDF that is split
+ * @param {Array<object>} sources - The input files, from assembleApplication
+ * @returns {Promise<{ inputs: Array<object>, pages: Array<object> }>} - Each input that could be
+ * read, with the pages of the application it became, as inspectPdf describes it; photos have no
+ * document info or flags
+ */
+export async function inspectApplication(pdfBytes, sources) {
+    const { pages } = await inspectPdf(pdfBytes);
+    const inputs = [];
+    for (const { file, path: filePath, type, pages: inputPages, error } of sources) {
+        if (error) continue;
+        if (type !== 'pdf') {
+            inputs.push({ file, type, pages: inputPages, flags: [] });
+            continue;
+        }
+        // Its pages are described as pages of the application instead
+        const { pages: filePages, ...info } = await inspectPdf(await fs.readFile(filePath));
+        inputs.push({ file, type, pages: inputPages, ...info });
+    }
+    return { inputs, pages };
+}
+
+/**
+ * Find where a statement's printed running balance doesn't follow from its transactions. Each
+ * balance is after its row's transaction. Rows are tried in both orders, as some statements list
+ * the newest first, and with amounts added and subtracted, as a credit card's balance grows with
+ * spending; the reading with the fewest breaks is used.
+ * @param {Array<object>} rows - From extractTableBalances
+ * @returns {{ checked: number, breaks: Array<object> }|null} - The balances checked and those that
+ * don't follow, or null if fewer than two balances are printed
+ */
+export function checkRunningBalance(rows) {
+    if (rows.filter(({ balance }) => balance !== null).length < 2) {
+        return null;
+    }
+
+    const readings = [];
+    for (const ordered of [rows, [...rows].reverse()]) {
+        for (const sign of [1, -1]) {
+            const breaks = [];
+            let checked = 0;
+            let last = null;
+            let pending = 0;
+            for (const row of ordered) {
+                pending += sign * row.amount;
+                if (row.balance === null) continue;
+                if (last !== null) {
+                    checked++;
+                    const expected = Math.round((last + pending) * 100) / 100;
+                    if (Math.abs(expected - row.balance) > balanceTolerance) {
+                        breaks.push({ pageNumber: row.pageNumber, date: row.date, detail: row.detail, expected, printed: row.balance });
+                    }
+                }
+                last = row.balance;
+                pending = 0;
+            }
+            readings.push({ checked, breaks });
+        }
+    }
+    return readings.sort((a, b) => a.breaks.length - b.breaks.length)[0];
+}
+
+/**
+ * Read the printed balances from the lines of a statement's text, for pages with no transaction
+ * tables, such as those read from the PDF's text layer. Lines with a date and two amounts are
+ * read as a transaction and the balance after it; which way the money went isn't known. Balance
+ * rows need only the balance.
+ * @param {Array<object>} layout - The statement's pages
+ * @returns {Array<{ pageNumber: number, date: string, detail: string, amount: number|null, balance: number|null }>}
+ */
+export function extractLineBalances(layout) {
+    const rows = [];
+    for (const { pageNumber, lines = [] } of layout) {
+        for (const { content } of lines) {
+            const match = content.trim().match(transactionLinePattern);
+            if (!match) continue;
+            const [, date, detail, first, second] = match;
+            const amount = (text) => {
+                const parsed = parseStatementAmount(text);
+                return parsed.error ? null : parsed.marker === 'DR' ? -Math.abs(parsed.amount) : parsed.amount;
+            };
+            if (second) {
+                rows.push({ pageNumber, date, detail, amount: Math.abs(amount(first)), balance: amount(second) });
+            } else if (isBalanceRow({ TransactionDetail: detail })) {
+                rows.push({ pageNumber, date, detail, amount: null, balance: amount(first) });
+            } else {
+                // A transaction without its balance, so the next balance can't be followed from it
+                rows.push({ pageNumber, date, detail, amount: Math.abs(amount(first)), balance: null });
+            }
+        }
+    }
+    return rows;
+}
+
+/**
+ * Find where a balance read from a statement's text doesn't change by its transaction's amount,
+ * either way, from the balance before it. A transaction without a printed balance breaks the
+ * chain, as the direction of each amount isn't known.
+ * @param {Array<object>} rows - From extractLineBalances
+ * @returns {{ checked: number, breaks: Array<object> }|null} - As checkRunningBalance returns, or
+ * null if no balance could be checked
+ */
+export function checkBalanceChanges(rows) {
+    const breaks = [];
+    let checked = 0;
+    let last = null;
+    for (const row of rows) {
+        if (row.balance === null || row.amount === null || Number.isNaN(row.amount)) {
+            last = row.amount === null ? row.balance : null;
+            continue;
+        }
+        if (last !== null) {
+            checked++;
+            const change = Math.abs(row.balance - last);
+            if (Math.abs(change - row.amount) > balanceTolerance) {
+                const expected = [last + row.amount, last - row.amount].map((value) => Math.round(value * 100) / 100)
+                    .sort((a, b) => Math.abs(a - row.balance) - Math.abs(b - row.balance))[0];
+                breaks.push({ pageNumber: row.pageNumber, date: row.date, detail: row.detail, expected, printed: row.balance });
+            }
+        }
+        last = row.balance;
+    }
+    return checked > 0 ? { checked, breaks } : null;
+}
+
+/**
+ * Check a statement's running balance, from its transaction tables or, where they have too few
+ * balances, from the lines of its text
+ * @param {Array<object>} layout - The statement's pages
+ * @returns {Promise<object>} - source, checked and breaks; or skipped, why it couldn't be checked
+ */
+async function checkStatementBalances(layout) {
+    if (layout.length === 0) {
+        return { skipped: 'The statement has no saved layout' };
+    }
+    const fromTables = checkRunningBalance(await extractTableBalances(layout));
+    if (fromTables) {
+        return { source: 'tables', ...fromTables };
+    }
+    const fromText = checkBalanceChanges(extractLineBalances(layout));
+    if (fromText) {
+        return { source: 'text', ...fromText };
+    }
+    return { skipped: 'No running balance could be read from the statement\'s tables or text' };
+}
+
+/**
+ * The risk flags of a split document: those of the input files its pages came from, pages of
+ * differing sizes or rotation, and for statements with a running balance, breaks in it
+ * @param {object} document
+ * @param {string} document.category
+ * @param {number[]} document.pages - The document's pages of the application
+ * @param {object} integrity - From inspectApplication
+ * @param {Array<object>} [layoutPages] - The layout of every page of the application
+ * @returns {Promise<{ flags: Array<object>, runningBalance: object|null }>} - Flags with type,
+ * severity, message and any pages concerned; and for statements, how the running balance was
+ * checked, or why it wasn't
+ */
+export async function documentRiskFlags({ category, pages }, integrity, layoutPages) {
+    // With several input files, a flag says which it is about
+    const flags = integrity.inputs
+        .filter(({ pages: inputPages }) => inputPages.some((page) => pages.includes(page)))
+        .flatMap(({ file, flags: inputFlags }) => inputFlags.map((inputFlag) =>
+            (integrity.inputs.length > 1 ? { ...inputFlag, file, message: `${file}: ${inputFlag.message}` } : inputFlag)));
+    const geometry = pages.map((page) => integrity.pages[page - 1]).filter(Boolean);
+
+    // Pages of one document normally come off the same printer or system at the same size;
+    // a page turned on its side is the same size
+    const sizeOf = ({ width, height }) => [Math.min(width, height), Math.max(width, height)];
+    const sizes = [];
+    for (const page of geometry) {
+        const [short, long] = sizeOf(page);
+        const size = sizes.find((existing) => Math.abs(existing.short - short) <= sizeTolerance && Math.abs(existing.long - long) <= sizeTolerance);
+        if (size) size.pages.push(page.pageNumber);
+        else sizes.push({ short, long, pages: [page.pageNumber] });
+    }
+    if (sizes.length > 1) {
+        const odd = sizes.sort((a, b) => b.pages.length - a.pages.length).slice(1).flatMap(({ pages: oddPages }) => oddPages).sort((a, b) => a - b);
+        flags.push(flag('page-size', 'medium', `Page${odd.length === 1 ? '' : 's'} ${formatPageRanges(odd)} differ${odd.length === 1 ? 's' : ''} in size from the rest of the document`, odd));
+    }
+
+    const rotations = new Map();
+    for (const { pageNumber, rotation } of geometry) {
+        rotations.set(rotation, [...(rotations.get(rotation) ?? []), pageNumber]);
+    }
+    if (rotations.size > 1) {
+        const odd = [...rotations.values()].sort((a, b) => b.length - a.length).slice(1).flat().sort((a, b) => a - b);
+        flags.push(flag('page-rotation', 'low', `Page${odd.length === 1 ? '' : 's'} ${formatPageRanges(odd)} ${odd.length === 1 ? 'is' : 'are'} rotated differently from the rest of the document`, odd));
+    }
+
+    let runningBalance = null;
+    if (isStatementCategory(category)) {
+        runningBalance = await checkStatementBalances(pages.map((page) => layoutPages?.[page - 1]).filter(Boolean));
+        if (runningBalance.breaks?.length > 0) {
+            const described = runningBalance.breaks.slice(0, 3).map(({ date, detail, expected, printed }) =>
+                `${date || 'undated'} ${detail}: printed ${printed.toFixed(2)}, expected ${expected.toFixed(2)}`.trim());
+            flags.push(flag(
+                'running-balance', 'high',
+                `The running balance doesn't follow from the transactions at ${runningBalance.breaks.length} of ${runningBalance.checked} balances (${described.join('; ')}${runningBalance.breaks.length > 3 ? '; …' : ''})`,
+                [...new Set(runningBalance.breaks.map(({ pageNumber }) => pageNumber))]
+            ));
+        }
+    }
+    return { flags, runningBalance };
+}
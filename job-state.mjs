@@ -0,0 +1,165 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { sha256 } from './cache-store.mjs';
+
+// The stages of a run, in order. Each uses the output of those before it.
+export const stages = ['intake', 'ocr', 'page-analysis', 'split', 'extract-statements', 'extract-documents', 'consolidate', 'cross-check', 'report', 'check'];
+
+export class JobStateError extends Error {}
+
+const stateFile = 'job_state.json';
+
+// An application of one file is hashed as that file, as it was before applications could have
+// several; one of several files by each file's name and contents
+async function hashInput(files) {
+    if (files.length === 1) {
+        return sha256(await fs.readFile(files[0]));
+    }
+    const hashes = [];
+    for (const file of files) {
+        hashes.push(`${path.basename(file)}:${sha256(await fs.readFile(file))}`);
+    }
+    return sha256(hashes.join('\n'));
+}
+
+/**
+ * Open the job state of an output folder. A run records each stage as it completes, with its
+ * result, in job_state.json, and the page analysis batch by batch. When resuming, completed
+ * stages are skipped and their saved result returned; a stage that is run again makes the
+ * stages after it run again too.
+ * @param {string} outputFolder - The application's output folder
+ * @param {object} options
+ * @param {string|string[]} options.input - The application's file, or files
+ * @param {boolean} options.resume - Skip the stages the last run completed
+ * @param {string} options.force - A stage to run again when resuming
+ * @returns {Promise<object>} - The job
+ * @throws {JobStateError} - If the stage to force isn't one of the stages
+ */
+export async function openJob(outputFolder, { input, resume = false, force } = {}) {
+    if (force && !stages.includes(force)) {
+        throw new JobStateError(`Unknown stage "${force}". Expected one of: ${stages.join(', ')}`);
+    }
+    await fs.mkdir(outputFolder, { recursive: true });
+    const statePath = path.join(outputFolder, stateFile);
+    const files = [].concat(input ?? []);
+    const inputHash = files.length > 0 ? await hashInput(files) : null;
+
+    let state = null;
+    if (resume || force) {
+        try {
+            state = JSON.parse(await fs.readFile(statePath, 'utf8'));
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+        }
+        if (state && state.inputHash !== inputHash) {
+            console.warn(`${files.join(', ')} ${files.length === 1 ? 'has' : 'have'} changed since the last run in ${outputFolder}, starting over`);
+            state = null;
+        }
+    }
+    state ??= { input: files.length > 0 ? files.map((file) => path.resolve(file)) : null, inputHash, startedAt: new Date().toISOString(), stages: {} };
+    if (force) {
+        clearFrom(state, force);
+    }
+
+    // Saves are queued so batches finishing together don't write the file at the same time
+    let saving = Promise.resolve();
+    const save = () => {
+        state.updatedAt = new Date().toISOString();
+        const data = JSON.stringify(state, null, 2);
+        saving = saving.then(async () => {
+            const tempPath = `${statePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+            await fs.writeFile(tempPath, data, 'utf8');
+            await fs.rename(tempPath, statePath);
+        });
+        return saving;
+    };
+    await save();
+
+    return {
+        folder: outputFolder,
+
+        /**
+         * @param {string} stage
+         * @returns {boolean} - Whether the stage is complete
+         */
+        isDone(stage) {
+            return state.stages[stage]?.status === 'done';
+        },
+
+        /**
+         * Run a stage, or return its saved result if it is complete. Its status, and its error if
+         * it fails, are saved.
+         * @param {string} stage - One of stages
+         * @param {function(): Promise<*>} fn - Runs the stage; what it returns must be JSON serialisable
+         * @returns {Promise<*>} - The stage's result
+         */
+        async run(stage, fn) {
+            if (this.isDone(stage)) {
+                console.log(`Skipping ${stage}, completed ${state.stages[stage].completedAt}`);
+                return state.stages[stage].result;
+            }
+            // The stages after this one would use its old output. A page analysis that was
+            // interrupted keeps the batches it completed.
+            clearFrom(state, stage, { including: false });
+            state.stages[stage] = { ...state.stages[stage], status: 'running', startedAt: new Date().toISOString() };
+            await save();
+            try {
+                const result = await fn();
+                state.stages[stage] = { ...state.stages[stage], status: 'done', completedAt: new Date().toISOString(), result };
+                // Saved batches are only needed until the page analysis is complete
+                delete state.stages[stage].error;
+                delete state.stages[stage].batches;
+                await save();
+                return result;
+            } catch (error) {
+                state.stages[stage] = { ...state.stages[stage], status: 'failed', failedAt: new Date().toISOString(), error: error.message };
+                await save();
+                throw error;
+            }
+        },
+
+        /**
+         * Record a stage as complete when its output was written outside a run, such as a split
+         * corrected in review. The stages after it will be run again.
+         * @param {string} stage
+         * @param {*} result
+         */
+        async complete(stage, result) {
+            clearFrom(state, stage, { including: false });
+            state.stages[stage] = { status: 'done', completedAt: new Date().toISOString(), result };
+            await save();
+        },
+
+        /**
+         * The page analysis of a batch saved by a previous run
+         * @param {number} firstPage
+         * @param {number} lastPage
+         * @returns {Array<object>|null}
+         */
+        savedBatch(firstPage, lastPage) {
+            const batch = state.stages['page-analysis']?.batches?.find((saved) => saved.firstPage === firstPage && saved.lastPage === lastPage);
+            return batch?.analysis ?? null;
+        },
+
+        /**
+         * Save the page analysis of a batch, so a run that fails later doesn't analyze it again
+         */
+        async saveBatch(firstPage, lastPage, analysis) {
+            const stage = state.stages['page-analysis'] ??= { status: 'running' };
+            stage.batches = (stage.batches ?? []).filter((saved) => saved.firstPage !== firstPage);
+            stage.batches.push({ firstPage, lastPage, analysis });
+            stage.batches.sort((a, b) => a.firstPage - b.firstPage);
+            await save();
+        },
+    };
+}
+
+/**
+ * Forget the stages after a stage, and the stage itself if including is set
+ */
+function clearFrom(state, stage, { including = true } = {}) {
+    for (const later of stages.slice(stages.indexOf(stage) + (including ? 0 : 1))) {
+        delete state.stages[later];
+    }
+}
@@ -0,0 +1,232 @@
+// Dates and amounts in extracted statement rows, as NZ statements print them
+
+const months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const dayMs = 24 * 60 * 60 * 1000;
+
+const isoDatePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const fullYear = (year) => (year === undefined ? undefined : year.length === 2 ? 2000 + Number(year) : Number(year));
+
+const parseIsoDate = (value) => {
+    const date = value && isoDatePattern.test(value) ? new Date(`${value}T00:00:00Z`) : null;
+    return date && !Number.isNaN(date.getTime()) ? date : null;
+};
+
+/**
+ * Split a statement date into day, month and (if printed) year. Accepts 12/03/2024, 12-3-24,
+ * 12.03.2024, 12/03, 12 Mar, 12 March 2024, 12-Mar-24, Mar 12, 2024 and 2024-03-12.
+ * @returns {{ day: number, month: number, year: number|undefined }|null}
+ */
+function dateParts(value) {
+    const text = String(value ?? '').trim();
+
+    const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    if (iso) {
+        return { day: Number(iso[3]), month: Number(iso[2]), year: Number(iso[1]) };
+    }
+
+    const numeric = text.match(/^(\d{1,2})[/.-](\d{1,2})(?:[/.-](\d{4}|\d{2}))?$/);
+    if (numeric) {
+        return { day: Number(numeric[1]), month: Number(numeric[2]), year: fullYear(numeric[3]) };
+    }
+
+    const named = text.match(/^(\d{1,2})(?:st|nd|rd|th)?[\s-]+([A-Za-z]{3,9})\.?,?(?:[\s-]+(\d{4}|\d{2}))?$/);
+    if (named) {
+        const month = months.indexOf(named[2].slice(0, 3).toLowerCase()) + 1;
+        return month > 0 ? { day: Number(named[1]), month, year: fullYear(named[3]) } : null;
+    }
+
+    const monthFirst = text.match(/^([A-Za-z]{3,9})\.?\s+(\d{1,2})(?:st|nd|rd|th)?(?:,?\s+(\d{4}))?$/);
+    if (monthFirst) {
+        const month = months.indexOf(monthFirst[1].slice(0, 3).toLowerCase()) + 1;
+        return month > 0 ? { day: Number(monthFirst[2]), month, year: fullYear(monthFirst[3]) } : null;
+    }
+
+    return null;
+}
+
+const validDate = ({ day, month, year }) => {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : null;
+};
+
+// Distance in days from a date to a statement period, zero inside it
+const distanceToPeriod = (date, start, end) =>
+    date < start ? (start - date) / dayMs : date > end ? (date - end) / dayMs : 0;
+
+/**
+ * Year for a date printed without one. Within a statement period the year whose date is closest
+ * to the period is used, so "28 Dec" and "03 Jan" on a December to January statement fall in
+ * different years. Without a period, the year carries on from the previous row and rolls over
+ * when the month goes back.
+ */
+function inferYear({ day, month }, { start, end, previous }) {
+    if (start && end) {
+        const candidates = [];
+        for (let year = start.getUTCFullYear() - 1; year <= end.getUTCFullYear() + 1; year++) {
+            const date = validDate({ day, month, year });
+            if (date) candidates.push({ year, distance: distanceToPeriod(date, start, end) });
+        }
+        candidates.sort((a, b) => a.distance - b.distance);
+        return candidates[0]?.year;
+    }
+    if (previous) {
+        return month < previous.getUTCMonth() + 1 ? previous.getUTCFullYear() + 1 : previous.getUTCFullYear();
+    }
+    return undefined;
+}
+
+/**
+ * Normalise a statement date to YYYY-MM-DD
+ * @param {string} value - The date as extracted
+ * @param {object} context
+ * @param {string} context.periodStart - Statement period start, YYYY-MM-DD, used for dates without a year
+ * @param {string} context.periodEnd - Statement period end, YYYY-MM-DD
+ * @param {Date} context.previous - The previous row's date, used when there is no period
+ * @returns {{ date: string }|{ error: string }}
+ */
+export function normaliseDate(value, { periodStart, periodEnd, previous } = {}) {
+    const parts = dateParts(value);
+    if (!parts) {
+        return { error: `"${value ?? ''}" is not a recognised date` };
+    }
+
+    const year = parts.year ?? inferYear(parts, { start: parseIsoDate(periodStart), end: parseIsoDate(periodEnd), previous });
+    if (year === undefined) {
+        return { error: `"${value}" has no year and the statement period is unknown` };
+    }
+
+    const date = validDate({ ...parts, year });
+    if (!date) {
+        return { error: `"${value}" is not a valid date` };
+    }
+    return { date: `${year}-${pad(parts.month)}-${pad(parts.day)}` };
+}
+
+/**
+ * Read an amount as printed on a statement: currency symbols and thousands separators are
+ * ignored, brackets or a leading or trailing minus make it negative, and a CR or DR marker is
+ * returned separately
+ * @param {string|number} value
+ * @returns {{ amount: number|null, marker: 'CR'|'DR'|null }|{ error: string }} - amount is null when the value is empty
+ */
+export function parseStatementAmount(value) {
+    if (typeof value === 'number') return { amount: value, marker: null };
+
+    let text = String(value ?? '').trim().replace(/^NZD\s*|\s*NZD$/i, '');
+    if (!text) return { amount: null, marker: null };
+
+    let marker = null;
+    const markerMatch = text.match(/^(CR|DR)\s*|\s*(CR|DR)$/i);
+    if (markerMatch) {
+        marker = (markerMatch[1] ?? markerMatch[2]).toUpperCase();
+        text = text.replace(markerMatch[0], '');
+    }
+
+    let negative = false;
+    const bracketed = text.match(/^\((.*)\)$/);
+    if (bracketed) {
+        negative = true;
+        text = bracketed[1];
+    }
+    const signed = text.match(/^-\s*(.*)$|^(.*?)\s*-$/);
+    if (signed) {
+        negative = !negative;
+        text = signed[1] ?? signed[2];
+    }
+
+    text = text.replace(/[$,\s]/g, '');
+    if (!/^\d+(\.\d+)?$|^\.\d+$/.test(text)) {
+        return { error: `"${value}" is not a recognised amount` };
+    }
+    const amount = Number(text);
+    return { amount: negative ? -amount : amount, marker };
+}
+
+/**
+ * Normalise a statement balance to a signed decimal. A bank account balance marked DR is
+ * overdrawn; a credit card balance is the amount owed, so one marked CR is in credit.
+ * @param {string|number} value
+ * @param {boolean} isCreditCard
+ * @returns {number|null} - null when the balance can't be read
+ */
+export function normaliseBalance(value, isCreditCard = false) {
+    const parsed = parseStatementAmount(value);
+    if (parsed.error || parsed.amount === null) return null;
+    const { amount, marker } = parsed;
+    if (marker === (isCreditCard ? 'CR' : 'DR')) return -Math.abs(amount);
+    if (marker) return Math.abs(amount);
+    return amount;
+}
+
+/**
+ * The money a parsed amount moves into the account, negative for money out. A CR marker makes it
+ * money in and DR money out, whichever column it was in; otherwise sign is the column's
+ * direction, 1 for money in and -1 for money out.
+ * @param {{ amount: number|null, marker: 'CR'|'DR'|null }} parsed - From parseStatementAmount
+ * @param {number} sign
+ * @returns {number} - 0 when the amount is empty
+ */
+export function signedAmount(parsed, sign) {
+    if (parsed.amount === null) return 0;
+    if (parsed.marker) return parsed.marker === 'CR' ? Math.abs(parsed.amount) : -Math.abs(parsed.amount);
+    return sign * parsed.amount;
+}
+
+const money = (amount) => (Math.round(amount * 100) / 100).toFixed(2);
+
+/**
+ * Normalise the dates and amounts of a statement's rows. Dates become YYYY-MM-DD. Income and
+ * Expenditure become positive decimals in the right column, and Amount the signed total (money
+ * in is positive): a CR marker makes an amount money in and DR money out, whichever column it
+ * was in, and a negative amount moves to the other column. Rows that can't be normalised keep
+ * their values as extracted and are reported.
+ * @param {Array<object>} rows - Rows from parseStatementCsv
+ * @param {object} statement
+ * @param {string} statement.periodStart - YYYY-MM-DD, if known
+ * @param {string} statement.periodEnd - YYYY-MM-DD, if known
+ * @returns {{ rows: Array<object>, issues: Array<object> }}
+ */
+export function normaliseRows(rows, { periodStart, periodEnd } = {}) {
+    const issues = [];
+    let previous = null;
+
+    const normalised = rows.map((row) => {
+        const result = { ...row };
+
+        const { date, error: dateError } = normaliseDate(row.Date, { periodStart, periodEnd, previous });
+        if (dateError) {
+            issues.push({ field: 'Date', value: row.Date, message: dateError, row });
+        } else {
+            result.Date = date;
+            previous = new Date(`${date}T00:00:00Z`);
+        }
+
+        const income = parseStatementAmount(row.Income);
+        const expenditure = parseStatementAmount(row.Expenditure);
+        const amountErrors = [['Income', income], ['Expenditure', expenditure]].filter(([, parsed]) => parsed.error);
+        for (const [field, { error }] of amountErrors) {
+            issues.push({ field, value: row[field], message: error, row });
+        }
+        if (amountErrors.length > 0) {
+            return result;
+        }
+
+        const amount = signedAmount(income, 1) + signedAmount(expenditure, -1);
+
+        result.Income = amount > 0 ? money(amount) : '';
+        result.Expenditure = amount < 0 ? money(-amount) : '';
+        result.Amount = income.amount === null && expenditure.amount === null ? '' : money(amount);
+        return result;
+    });
+
+    return { rows: normalised, issues };
+}
+
+/**
+ * Compare rows by their normalised date, with rows whose date couldn't be normalised last
+ */
+export const compareTransactionDates = (a, b) =>
+    (isoDatePattern.test(b.Date) - isoDatePattern.test(a.Date)) || String(a.Date).localeCompare(String(b.Date));
@@ -0,0 +1,90 @@
+/**
+ * Parse the statedPageNumber returned by the model, e.g. "Page 2 of 5", "2 of 5", "2/5" or "Page 3"
+ * @param {string|number|object} stated - The stated page number
+ * @returns {{ page: number, total: number|null }|null} - The parsed numbering, or null if the page has none
+ */
+export function parseStatedPageNumber(stated) {
+    if (stated === undefined || stated === null) return null;
+    if (typeof stated === 'number') return { page: stated, total: null };
+    if (typeof stated === 'object') {
+        const page = Number(stated.page ?? stated.pageNumber);
+        const total = Number(stated.total ?? stated.totalPages);
+        return Number.isInteger(page) && page > 0 ? { page, total: Number.isInteger(total) && total > 0 ? total : null } : null;
+    }
+
+    const match = String(stated).match(/(\d+)\s*(?:of|\/)\s*(\d+)/i) || String(stated).match(/(\d+)/);
+    if (!match) return null;
+
+    const page = Number(match[1]);
+    const total = match[2] ? Number(match[2]) : null;
+    if (page < 1 || (total !== null && page > total)) return null;
+
+    return { page, total };
+}
+
+/**
+ * Check the pages assigned to one split document against their stated page numbers. Pages are
+ * reordered when the stated order disagrees with the scan order; pages without a stated number
+ * keep their position.
+ * @param {Array<{ pageNumber: number, statedPageNumber: * }>} pageResults - Analysis results for the document, in scan order
+ * @returns {{ pages: number[], reordered: boolean, issues: Array<object> }} - Page numbers in the order to write them, and any issues found
+ */
+export function validateDocumentPages(pageResults) {
+    const issues = [];
+
+    // The overlap between batches can return the same scanned page twice
+    const seenScanPages = new Set();
+    const entries = pageResults
+        .filter(({ pageNumber }) => !seenScanPages.has(pageNumber) && seenScanPages.add(pageNumber))
+        .map(({ pageNumber, statedPageNumber }) => ({ pageNumber, stated: parseStatedPageNumber(statedPageNumber) }));
+
+    const numbered = entries.filter(({ stated }) => stated);
+    if (numbered.length === 0) {
+        return { pages: entries.map(({ pageNumber }) => pageNumber), reordered: false, issues };
+    }
+
+    const byStatedPage = new Map();
+    for (const { pageNumber, stated } of numbered) {
+        byStatedPage.set(stated.page, [...(byStatedPage.get(stated.page) || []), pageNumber]);
+    }
+    for (const [statedPage, scanPages] of byStatedPage) {
+        if (scanPages.length > 1) {
+            issues.push({ type: 'duplicatePage', message: `Stated page ${statedPage} appears on scanned pages ${scanPages.join(', ')}`, statedPage, scanPages });
+        }
+    }
+
+    const totals = numbered.map(({ stated }) => stated.total).filter(Boolean);
+    const statedTotal = totals.length > 0 ? Math.max(...totals) : null;
+    if (new Set(totals).size > 1) {
+        issues.push({ type: 'inconsistentTotal', message: `Pages state different totals: ${[...new Set(totals)].join(', ')}` });
+    }
+
+    const lastStatedPage = statedTotal ?? Math.max(...byStatedPage.keys());
+    const missing = [];
+    for (let page = 1; page <= lastStatedPage; page++) {
+        if (!byStatedPage.has(page)) missing.push(page);
+    }
+    if (missing.length > 0) {
+        issues.push({ type: 'missingPages', message: `Stated pages missing: ${missing.join(', ')}`, statedPages: missing });
+    }
+
+    if (statedTotal !== null && statedTotal !== entries.length) {
+        issues.push({ type: 'pageCountMismatch', message: `Document states ${statedTotal} pages but has ${entries.length}`, statedTotal, pageCount: entries.length });
+    }
+
+    // Sort the numbered pages into the slots they occupy, leaving unnumbered pages in place
+    const sorted = [...numbered].sort((a, b) => a.stated.page - b.stated.page);
+    const outOfOrder = sorted.some((entry, i) => entry !== numbered[i]);
+    let next = 0;
+    const pages = entries.map((entry) => (entry.stated ? sorted[next++] : entry).pageNumber);
+
+    if (outOfOrder) {
+        issues.push({
+            type: 'outOfOrder',
+            message: `Pages were scanned out of order and have been reordered to ${pages.join(', ')}`,
+            scanOrder: entries.map(({ pageNumber }) => pageNumber),
+        });
+    }
+
+    return { pages, reordered: outOfOrder, issues };
+}
@@ -0,0 +1,124 @@
+// The package entry point parses a bundled test file when imported as an ES module
+import pdf from "pdf-parse/lib/pdf-parse.js";
+
+// A page with less embedded text than this is treated as a scan and sent to OCR
+const minTextLayerChars = Number(process.env.TEXT_LAYER_MIN_CHARS || 40);
+
+// Text items whose baselines are this close (in points) are on the same line
+const lineTolerance = 2;
+
+const pointsPerInch = 72;
+
+/**
+ * Group pdf.js text items into lines, with bounding polygons in the same form Document
+ * Intelligence uses for PDFs: inches from the top left of the page, clockwise from top left
+ */
+function groupLines(items, [, , , viewTop]) {
+    const lines = [];
+    const sorted = items
+        .filter((item) => item.str.trim())
+        .sort((a, b) => b.transform[5] - a.transform[5] || a.transform[4] - b.transform[4]);
+
+    for (const item of sorted) {
+        const [, , , , x, y] = item.transform;
+        const height = item.height || Math.abs(item.transform[3]);
+        const line = lines.find((candidate) => Math.abs(candidate.y - y) <= lineTolerance);
+        if (line) {
+            line.items.push({ x, str: item.str });
+            line.left = Math.min(line.left, x);
+            line.right = Math.max(line.right, x + item.width);
+            line.height = Math.max(line.height, height);
+        } else {
+            lines.push({ y, left: x, right: x + item.width, height, items: [{ x, str: item.str }] });
+        }
+    }
+
+    return lines.map(({ y, left, right, height, items: lineItems }) => {
+        const top = (viewTop - y - height) / pointsPerInch;
+        const bottom = (viewTop - y) / pointsPerInch;
+        const x1 = left / pointsPerInch;
+        const x2 = right / pointsPerInch;
+        return {
+            content: lineItems.sort((a, b) => a.x - b.x).map(({ str }) => str.trim()).join(' '),
+            polygon: [x1, top, x2, top, x2, bottom, x1, bottom].map((value) => Math.round(value * 10000) / 10000),
+        };
+    });
+}
+
+/**
+ * Read the embedded text layer of each page of a PDF
+ * @param {Buffer} pdfBytes - The PDF
+ * @returns {Promise<Array<object>>} - One entry per page in the shape of a Document Intelligence
+ * page (pageNumber, width, height, unit, lines), with hasTextLayer set when the page has usable text
+ */
+export async function extractTextLayer(pdfBytes) {
+    const pages = [];
+
+    // pdf.js misreads Node Buffers, which slice without copying, so hand it a plain Uint8Array
+    const { numpages } = await pdf(new Uint8Array(pdfBytes), {
+        pagerender: async (pageData) => {
+            const [x0, y0, x1, y1] = pageData.view;
+            const textContent = await pageData.getTextContent({ normalizeWhitespace: true });
+            const lines = groupLines(textContent.items, pageData.view);
+            const textLength = lines.reduce((sum, { content }) => sum + content.replace(/\s/g, '').length, 0);
+
+            pages[pageData.pageIndex] = {
+                pageNumber: pageData.pageIndex + 1,
+                width: (x1 - x0) / pointsPerInch,
+                height: (y1 - y0) / pointsPerInch,
+                unit: 'inch',
+                lines,
+                hasTextLayer: textLength >= minTextLayerChars,
+            };
+            return '';
+        },
+    });
+
+    // pdf-parse renders an empty string for pages it fails to read, which leaves a hole here
+    return Array.from({ length: numpages }, (_, index) => pages[index] ?? { pageNumber: index + 1, lines: [], hasTextLayer: false });
+}
+
+/**
+ * The text of a page, headed with its page number
+ * @param {object} page - A Document Intelligence page, or one from extractTextLayer
+ * @returns {string}
+ */
+export function readPage(page) {
+    return `Page ${page.pageNumber}: \n\n` + page.lines.map((line) => line.content).join('\n');
+}
+
+/**
+ * Split text made of readPage output back into its pages
+ * @param {string} text - Page texts, each headed "Page N:"
+ * @returns {Array<{ pageNumber: number|null, text: string }>} - The pages, with their headings. Text
+ * without any headings is returned as a single page with no number.
+ */
+export function splitPages(text) {
+    const headings = [...text.matchAll(/^Page (\d+): *$/gm)];
+    if (headings.length === 0) {
+        return [{ pageNumber: null, text }];
+    }
+    return headings.map((heading, index) => ({
+        pageNumber: Number(heading[1]),
+        // Anything before the first heading stays with the first page
+        text: text.slice(index === 0 ? 0 : heading.index, headings[index + 1]?.index ?? text.length).trim(),
+    }));
+}
+
+/**
+ * Describe page numbers in the form of the Document Intelligence pages parameter, e.g. "1-3,7"
+ * @param {number[]} pageNumbers - Sorted page numbers
+ * @returns {string}
+ */
+export function pagesParameter(pageNumbers) {
+    const ranges = [];
+    for (const page of pageNumbers) {
+        const last = ranges[ranges.length - 1];
+        if (last && page === last[1] + 1) {
+            last[1] = page;
+        } else {
+            ranges.push([page, page]);
+        }
+    }
+    return ranges.map(([first, last]) => (first === last ? `${first}` : `${first}-${last}`)).join(',');
+}
@@ -1,201 +1,259 @@
 import fs from 'fs/promises';
 import path from 'path';
-import { parse } from 'csv-parse/sync';
-import axios from 'axios';
-import { createObjectCsvWriter } from 'csv-writer';
-import dotenv from 'dotenv';
-
-// Load the cache from the file, or initialize it
-let cache = {};
-const cacheFilePath = './cache.json';
-
-try {
-    const data = await fs.readFile(cacheFilePath, 'utf8');
-    cache = JSON.parse(data);
-} catch (err) {
-    if (err.code !== 'ENOENT') {
-    console.error('Error loading cache:', err);
+import { buildStatementExtractionPrompt, statementCategories } from './prompts.mjs';
+import { getValidatedJson, InvalidResponseError } from './util.mjs';
+import { statementExtractionSchema } from './schemas.mjs';
+import { csvColumns, isStatementCategory, parseStatementCsv, readCsv, writeCsv } from './statements.mjs';
+import { dedupeTransactions, findOverlaps } from './dedupe.mjs';
+import { compareTransactionDates, normaliseBalance, normaliseRows } from './normalise.mjs';
+import { isBalanceRow, reconcileStatement } from './reconcile.mjs';
+import { categoriseTransactions, loadOverrides, loadRules } from './categorise.mjs';
+import { extractPages } from './split-pdf.mjs';
+import { readPage, splitPages } from './page-text.mjs';
+import { highlightStatements, loadLayout, locateTransactions } from './provenance.mjs';
+import { extractTableTransactions } from './tables.mjs';
+import { concurrency, mapWithConcurrency } from './http-client.mjs';
+
+// Long statements are extracted a few pages at a time, so the response isn't cut off
+const pagesPerWindow = Number(process.env.STATEMENT_PAGES_PER_WINDOW || 2);
+
+const sameRow = (a, b) =>
+    ['Date', 'TransactionDetail', 'Income', 'Expenditure'].every((field) => String(a[field] ?? '').trim() === String(b[field] ?? '').trim());
+
+/**
+ * Join the rows extracted from consecutive page windows. The windows don't overlap, so only
+ * balance rows a window repeats from the end of the previous one are dropped: two identical
+ * transactions either side of a page break are both real. Balance rows such as "balance brought
+ * forward" are marked Skip.
+ */
+function stitchRows(windowRows) {
+    const rows = [];
+    for (const current of windowRows) {
+        let repeated = Math.min(rows.length, current.length);
+        while (repeated > 0 && !rows.slice(-repeated).every((row, index) => isBalanceRow(row) && sameRow(row, current[index]))) {
+            repeated--;
+        }
+        rows.push(...current.slice(repeated));
     }
+    return rows.map((row) => (isBalanceRow(row) ? { ...row, Skip: true } : row));
 }
 
-dotenv.config();
-
-const sourceFolder = process.argv[2];
-const outputFolder = sourceFolder;
-
-const azureEndpoint = process.env.AZURE_OPENAI_ENDPOINT; // e.g., https://<resource-name>.openai.azure.com
-const azureApiKey = process.env.AZURE_API_KEY;
-
 /**
- * Save the cache to a file
+ * Extract a statement, a window of pages at a time. The category, bank, account and period start
+ * come from the first window, the period end from the last, and the balances from the start of
+ * the first window and the end of the last. When the transactions can be read from the tables
+ * OCR found, the model is only asked for the statement details, from the first and last windows.
  */
-async function saveCache() {
-    try {
-        await fs.writeFile(cacheFilePath, JSON.stringify(cache, null, 2), 'utf-8');
-    } catch (err) {
-      console.error('Error saving cache file:', err);
-    }
-  }
-  
-  /**
-   * Cached POST request with persistent cache
-   * @param {string} url - The endpoint URL
-   * @param {object} body - The request payload
-   * @param {object} headers - The request headers
-   * @returns {Promise<object>} - The response data
-   */
-  async function cachedPost(url, body, headers) {
-    // Create a unique cache key based on the URL and payload
-    const cacheKey = `${url}:${JSON.stringify(body)}`;
-  
-    // Return the cached response if available
-    if (cache[cacheKey]) {
-      return cache[cacheKey];
-    }
-    try {
-      const response = await axios.post(url, body, { headers });
-  
-      // Cache the response data
-      cache[cacheKey] = response.data;
-  
-      // Persist the cache to the file
-      await saveCache();
-  
-      return response.data;
-    } catch (err) {
-      console.error('Error in cachedPost:', err);
-      throw err;
+const processText = async (text, file, layout) => {
+    const pages = splitPages(text);
+    const windows = [];
+    for (let i = 0; i < pages.length; i += pagesPerWindow) {
+        windows.push({ firstPage: i + 1, lastPage: Math.min(i + pagesPerWindow, pages.length), text: pages.slice(i, i + pagesPerWindow).map((page) => page.text).join('\n\n') });
     }
-  }
-
-const processText = async (filePath) => {
-    const text = await fs.readFile(filePath, 'utf8');
-
-    const prompt = `
-        Respond in JSON format.
-
-        Analyze the following text and respond with a JSON object containing the following fields:
 
-        If it's a bank/credit card statement, add the following fields:
-        1. startingBalance
-        2. closingBalance
-        3. csv: A CSV formatted string with headers: Date, Transaction Detail, Income, Expenditure, Skip. Enclose transaction detail in double quotes if it contains commas. Format expenditure and income as floats with no $ or , characters
-        Skip should be true if the transaction is a transfer or a payment into a credit card account, or an opening or closing balance row.
-
-        ---
-        ${text}
-    `;
-
-    const headers = {
-        'Content-Type': 'application/json',
-        'api-key': azureApiKey,
+    const tableRows = await extractTableTransactions(layout, file);
+    if (tableRows) {
+        console.log(`Read ${tableRows.length} transactions from the statement's tables`);
+        windows.splice(1, Math.max(windows.length - 2, 0));
+    }
+    const transactions = !tableRows;
+
+    // A CSV that can't be parsed is sent back to the model, rather than cached and failing the run
+    const checkCsv = ({ csv }) => {
+        if (!transactions || !csv) return [];
+        try {
+            parseStatementCsv(csv, file);
+            return [];
+        } catch (error) {
+            return [`/csv could not be parsed: ${error.message}`];
+        }
     };
 
-    const body = {
-        messages: [{ role: 'user', content: prompt }],
-        max_tokens: 1500,
-        temperature: 0,
-        top_p: 1,
-    };
+    const results = [];
+    for (const window of windows) {
+        const prompt = buildStatementExtractionPrompt(window.text, { ...window, totalPages: pages.length, transactions });
+        const response = await getValidatedJson(prompt, statementExtractionSchema(statementCategories, { transactions }), { maxTokens: transactions ? 4000 : 1000, check: checkCsv });
+        results.push(response);
+        // Only statements need every page read
+        if (!isStatementCategory(results[0].category)) break;
+        if (windows.length > 1) {
+            console.log(`Extracted pages ${window.firstPage}-${window.lastPage} of ${pages.length}`);
+        }
+    }
 
-    const response = await cachedPost(`${azureEndpoint}`, body, headers);
-    return JSON.parse(response.choices[0].message.content);
+    const [first] = results;
+    const last = results[results.length - 1];
+    return {
+        ...first,
+        closingBalance: last.closingBalance,
+        periodEnd: last.periodEnd ?? first.periodEnd,
+        bankName: first.bankName ?? results.find(({ bankName }) => bankName)?.bankName,
+        accountNumber: first.accountNumber ?? results.find(({ accountNumber }) => accountNumber)?.accountNumber,
+        accountHolder: first.accountHolder ?? results.find(({ accountHolder }) => accountHolder)?.accountHolder,
+        address: first.address ?? results.find(({ address }) => address)?.address,
+        rows: tableRows ?? stitchRows(results.map(({ csv }) => parseStatementCsv(csv, file))),
+        text,
+    };
 };
 
-const writeCsv = async (data, outputPath) => {
-    const csvWriter = createObjectCsvWriter({
-        path: outputPath,
-        header: [
-            { id: 'Date', title: 'Date' },
-            { id: 'TransactionDetail', title: 'Transaction Detail' },
-            { id: 'Income', title: 'Income' },
-            { id: 'Expenditure', title: 'Expenditure' },
-            { id: 'Filename', title: 'File name' },
-        ],
-        alwaysQuote: true,
-    });
-
-    await csvWriter.writeRecords(data);
+// The text of a source file, and the layout of its pages if known
+const readSource = async (filePath) => {
+    if (path.extname(filePath).toLowerCase() === '.pdf') {
+        const pages = await extractPages(filePath);
+        return { text: pages.map(readPage).join('\n\n'), layout: pages };
+    }
+    return {
+        text: await fs.readFile(filePath, 'utf8'),
+        layout: await loadLayout(filePath.replace(/_raw_ocr\.txt$/, '_layout.json')),
+    };
 };
 
+/**
+ * Extract the transactions of every bank and credit card statement in a folder. Writes a CSV
+ * and a reconciliation result per statement, statements.json describing them all, and
+ * normalisation_issues.json listing rows whose date or amounts couldn't be normalised.
+ * @param {string} sourceFolder - Folder holding the _raw_ocr.txt files written by the split, or PDFs
+ * @param {string} outputFolder - Folder to write to
+ * @param {object} options
+ * @param {boolean} options.fromPdfs - Read whole PDFs, page by page, instead of _raw_ocr.txt files
+ * @returns {Promise<Array<object>>} - The statements found
+ */
+export async function extractStatements(sourceFolder, outputFolder = sourceFolder, { fromPdfs = false } = {}) {
+    await fs.mkdir(outputFolder, { recursive: true });
+
+    const files = await fs.readdir(sourceFolder);
+    // Highlighted copies written by consolidation are not statements of their own
+    const sourcePattern = fromPdfs ? /(?<!_highlighted)\.pdf$/i : /_raw_ocr\.txt$/;
+
+    const statements = [];
+    const normalisationIssues = [];
+    const rules = await loadRules();
+    const overrides = await loadOverrides(outputFolder);
+
+    // Statement files are extracted HTTP_CONCURRENCY at a time
+    const extractFile = async (file) => {
+        console.log(`\n\n***********************\n\nProcessing: ${file}`);
+        const filePath = path.join(sourceFolder, file);
+        let result;
+        let layout;
+        try {
+            const source = await readSource(filePath);
+            layout = source.layout;
+            result = await processText(source.text, file, layout);
+        } catch (error) {
+            if (!(error instanceof InvalidResponseError)) throw error;
+            console.error(`Skipping ${file}, the model did not return a valid extraction: ${error.message}`);
+            return null;
+        }
 
-function parseCsvLine(line) {
-    // Parse the line with csv-parse
-    const records = parse(line.replace(/\s*(?=")|(?<=,)\s*/g, ''), {
-      columns: false,
-      skip_empty_lines: true,
-    });
-  
-    // Return the parsed fields as an array
-    return records[0];
-  }
-
-const processSourceFilesInFolder = async () => {
-    try {
-        await fs.mkdir(outputFolder, { recursive: true });
-
-        const files = await fs.readdir(sourceFolder);
-        
-        const consolidatedData = [];
-        let consolidatedHeaderRow = null; // Store the header row
-
-        for (const file of files) {
-            if (path.match(/_raw_ocr\.txt$/)) {
-                console.log(`\n\n***********************\n\nProcessing: ${file}`);
-                const filePath = path.join(sourceFolder, file);
-                const result = await processText(filePath);
-
-                const { category, startingBalance, closingBalance, csv } = result;
-
-                const csvLines = csv?.split('\n');
+        const { category, text, bankName, accountNumber, accountHolder, address, periodStart, periodEnd } = result;
 
-                console.log(`Category: ${category}`);
-                if (category.toLowerCase().includes('bank') || category.toLowerCase().includes('credit card')) {
-                    console.log(`Starting Balance: ${startingBalance}`);
-                    console.log(`Closing Balance: ${closingBalance}`);
+        console.log(`Category: ${category}`);
+        if (isStatementCategory(category)) {
+            const document = fromPdfs ? file : file.replace(/_raw_ocr\.txt$/, '.pdf');
+            if (fromPdfs) {
+                // Split PDFs have theirs written by the split
+                await fs.writeFile(path.join(outputFolder, file.replace(/\.pdf$/i, '_layout.json')), JSON.stringify(layout), 'utf8');
+            }
+            // Balances that can't be read are kept as extracted, and reconciliation reports them
+            const isCreditCard = category.toLowerCase().includes('credit card');
+            const startingBalance = normaliseBalance(result.startingBalance, isCreditCard) ?? result.startingBalance;
+            const closingBalance = normaliseBalance(result.closingBalance, isCreditCard) ?? result.closingBalance;
+            console.log(`Starting Balance: ${startingBalance}`);
+            console.log(`Closing Balance: ${closingBalance}`);
+
+            const { rows, issues } = normaliseRows(result.rows, { periodStart, periodEnd });
+            for (const issue of issues) {
+                console.warn(`Could not normalise ${issue.field} of a row in ${file}: ${issue.message}`);
+            }
 
-                    // Extract header row and skip it in the data processing
-                    const [headerRow, ...dataRows] = csvLines;
+            const reconciliation = reconcileStatement({ category, startingBalance, closingBalance, rows, text });
+            if (!reconciliation.matched) {
+                console.warn(`Statement does not reconcile, difference: ${reconciliation.difference}`);
+            }
+            await fs.writeFile(
+                path.join(outputFolder, `${file}.reconciliation.json`),
+                JSON.stringify({ file, category, ...reconciliation }, null, 2),
+                'utf8'
+            );
+
+            // Trace each transaction back to the line it was read from
+            const counted = locateTransactions(
+                rows.filter((row) => !row.Skip), // Skip rows marked as transfers or opening/closing balances
+                layout
+            ).map((row) => ({ ...row, Document: document }));
+            const csvData = await categoriseTransactions(counted, { rules, overrides });
+
+            await writeCsv(csvData, path.join(outputFolder, `${file}.csv`));
+
+            return {
+                statement: {
+                    file,
+                    document,
+                    csv: `${file}.csv`,
+                    category, bankName, accountNumber, accountHolder, address, periodStart, periodEnd, startingBalance, closingBalance,
+                    reconciled: reconciliation.matched,
+                },
+                issues: issues.map((issue) => ({ file, ...issue })),
+            };
+        }
+        return null;
+    };
 
-                    // Set the header row only once
-                    if (!consolidatedHeaderRow) {
-                        consolidatedHeaderRow = headerRow + ',Filename'; // Add a Filename column to the header
-                    }
+    const results = await mapWithConcurrency(files.filter((file) => sourcePattern.test(file)), concurrency, extractFile);
+    for (const result of results.filter(Boolean)) {
+        statements.push(result.statement);
+        normalisationIssues.push(...result.issues);
+    }
 
-                    const csvData = dataRows.map((line) => {
-                        if (!line.trim()) return null; // Skip empty lines
+    await fs.writeFile(path.join(outputFolder, 'statements.json'), JSON.stringify(statements, null, 2), 'utf8');
+    await fs.writeFile(path.join(outputFolder, 'normalisation_issues.json'), JSON.stringify(normalisationIssues, null, 2), 'utf8');
 
-                        const [TransactionDate, TransactionDetail, Income, Expenditure, Skip] = parseCsvLine(line.replace(', "', ',"')); // Remove space after comma
+    return statements;
+}
 
-                        if (Skip === 'true') return null; // Skip rows marked as transfers or opening/closing balances
+/**
+ * Combine the statement CSVs listed in statements.json into consolidated_statements.csv.
+ * Transactions repeated in overlapping statements for the same account are removed and listed
+ * in removed_duplicates.csv, and the overlapping statements in statement_overlaps.json.
+ * @param {string} folder - The folder extractStatements wrote to
+ * @param {object} options
+ * @param {boolean} options.highlight - Also write a copy of each statement PDF with its counted transactions highlighted
+ * @returns {Promise<Array<object>>} - The consolidated rows
+ */
+export async function consolidateStatements(folder, { highlight = false } = {}) {
+    const statements = JSON.parse(await fs.readFile(path.join(folder, 'statements.json'), 'utf8'));
 
-                        return { 
-                            Date: TransactionDate, // Parse the date for sorting
-                            Filename: file,
-                            TransactionDetail, Income, Expenditure, 
-                        };
-                    }).filter(Boolean); // Remove null entries
+    const statementRows = [];
+    for (const statement of statements) {
+        statementRows.push({ statement, rows: await readCsv(path.join(folder, statement.csv)) });
+    }
 
-                    writeCsv(consolidatedData, path.join(outputFolder, `${file}.csv`));
+    const overlaps = findOverlaps(statements);
+    for (const { account, documents, from, to } of overlaps) {
+        console.warn(`Statements for ${account} overlap from ${from} to ${to}: ${documents.join(', ')}`);
+    }
+    await fs.writeFile(path.join(folder, 'statement_overlaps.json'), JSON.stringify(overlaps, null, 2), 'utf8');
 
-                    consolidatedData.push(...csvData); // Add processed data rows to the consolidated array
-                }
-            }
-        }
+    const { kept: consolidatedData, removed } = dedupeTransactions(statementRows);
+    if (removed.length > 0) {
+        console.warn(`Removed ${removed.length} duplicate transactions, see removed_duplicates.csv`);
+    }
+    await writeCsv(removed, path.join(folder, 'removed_duplicates.csv'), [...csvColumns, { id: 'KeptIn', title: 'Kept in' }]);
 
-        // Sort consolidated data by the parsed Date field
-        consolidatedData.sort((a, b) => new Date(a.Date) - new Date(b.Date));
+    // Dates were normalised to YYYY-MM-DD when the statements were extracted
+    consolidatedData.sort(compareTransactionDates);
 
-        // Prepare sorted CSV data
-        if (consolidatedHeaderRow && consolidatedData.length > 0) {
-            writeCsv(consolidatedData, path.join(outputFolder, 'consolidated_statements.csv'));
-        } else {
-            console.log('No valid data to consolidate.');
-        }
+    // Prepare sorted CSV data
+    if (consolidatedData.length > 0) {
+        await writeCsv(consolidatedData, path.join(folder, 'consolidated_statements.csv'));
+    } else {
+        console.log('No valid data to consolidate.');
+    }
 
-    } catch (error) {
-        console.error('Error processing files:', error);
+    if (highlight) {
+        await highlightStatements(folder, statements, consolidatedData);
     }
-};
 
-processSourceFilesInFolder();
+    return consolidatedData;
+}
@@ -1,3 +1,29 @@
+// Bump when a prompt or the handling of its response changes, so cached responses are not reused
+export const promptVersion = 3;
+
+// Categories a page of an application bundle can be assigned to
+export const documentCategories = [
+    "Financial hardship Kiwisaver withdrawal form",
+    "Bank account statement",
+    "Kiwisaver statement",
+    "Credit card statement",
+    "Identification method",
+    "Statutory declaration",
+    "A letter from WINZ advising the breakdown of any benefit amount paid to you.",
+    "A letter from WINZ declining your request for WINZ financial assistance",
+    "Evidence of unexpected expenses",
+    "Evidence of a debt payment plan",
+    "A letter from a lending institution, who have declined a request from you for a financial loan.",
+    "A payslip",
+    "A letter providing evidence of a change of employment or income",
+    "A rental agreement",
+    "A rent arrears notice",
+    "A mortgage or other payment arrears notice",
+    "A mortgage statement",
+    "A loan statement",
+    "Other supporting documentation",
+];
+
 export function buildPdfExtractionPrompt(lastPageSummary, usedFilenames, text) {
     return `
             The following text is a number of pages from a concatenated PDF. The objective is to separate the PDF into individual documents and categorize them.
@@ -19,25 +45,7 @@ export function buildPdfExtractionPrompt(lastPageSummary, usedFilenames, text) {
 
             Determine the category from among the following:
 
-            Financial hardship Kiwisaver withdrawal form
-            Bank account statement
-            Kiwisaver statement
-            Credit card statement   
-            Identification method
-            Statutory declaration
-            A letter from WINZ advising the breakdown of any benefit amount paid to you.
-            A letter from WINZ declining your request for WINZ financial assistance
-            Evidence of unexpected expenses
-            Evidence of a debt payment plan
-            A letter from a lending institution, who have declined a request from you for a financial loan.
-            A payslip
-            A letter providing evidence of a change of employment or income
-            A rental agreement
-            A rent arrears notice
-            A mortgage or other payment arrears notice
-            A mortgage statement
-            A loan statement
-            Other supporting documentation
+            ${documentCategories.join('\n            ')}
             
             Last page summary from previous run:
             ${lastPageSummary ? JSON.stringify(lastPageSummary, null, 2) : "No previous summary available"}
@@ -48,12 +56,177 @@ export function buildPdfExtractionPrompt(lastPageSummary, usedFilenames, text) {
             ---
             ${text}
         `;
-}export function buildHtmlReportPrompt(analysisResults) {
+}
+
+/**
+ * Prompt to categorise a single page again, on its own with its neighbours for context, as a
+ * second opinion on the page analysis
+ * @param {string} page - The text of the page
+ * @param {object} neighbours
+ * @param {string} neighbours.previous - The text of the page before, if any
+ * @param {string} neighbours.next - The text of the page after, if any
+ * @returns {string}
+ */
+export function buildPageClassificationPrompt(page, { previous, next } = {}) {
+    return `
+        Respond in JSON format.
+
+        The following is one page of a concatenated PDF of several documents, with the pages before and after it for context. Categorise only the page under "Page to categorise".
+        Your response should be a JSON object with these fields:
+        - category: choose from the list below
+        - confidence: an integer between 0 and 5 indicating the confidence level of the categorisation
+        - startsNewDocument: true if the page is the first page of a document, false if it continues the document on the page before
+        - reason: a short explanation of the category and whether the page starts a new document
+
+        Determine the category from among the following:
+
+        ${documentCategories.join('\n        ')}
+
+        Page before:
+        ${previous ?? "None, this is the first page"}
+
+        ---
+        Page to categorise:
+        ${page}
+
+        ---
+        Page after:
+        ${next ?? "None, this is the last page"}
+    `;
+}
+
+/**
+ * Prompt to extract the details of a document of one category
+ * @param {string} category - The document's category
+ * @param {Array<{ name: string, description: string }>} fields - The fields to extract
+ * @param {string} instructions - Anything particular to documents of the category
+ * @param {string} text - The text of the document
+ * @returns {string}
+ */
+export function buildDocumentExtractionPrompt(category, fields, instructions, text) {
+    return `
+        Respond in JSON format.
+
+        The following text is a document categorised as "${category}", from a New Zealand KiwiSaver hardship withdrawal application.
+        Respond with a JSON object with these fields, using null for any that the document doesn't state:
+        ${fields.map(({ name, description }) => `- ${name}: ${description}`).join("\n        ")}
+
+        Format dates as YYYY-MM-DD, and amounts as numbers with no $ or , characters.
+        ${instructions ?? ""}
+
+        ---
+        ${text}
+    `;
+}
+
+export function buildTransactionCategoryPrompt(categories, transactions) {
+    return `
+        Respond in JSON format.
+
+        Categorise each of the following bank or credit card transactions from a New Zealand statement into one of these spending or income categories:
+
+        ${categories.join('\n        ')}
+        Other
+
+        Your response should be a JSON object with a field called "categories" containing an array with one entry per transaction, in the same order, matching the following schema:
+        {
+            "index": {{ the index of the transaction }},
+            "category": "{{ choose from the list above }}"
+        }
+
+        ---
+        ${JSON.stringify(transactions, null, 2)}
+    `;
+}
+
+export const statementCategories = ["Bank account statement", "Credit card statement", "Other"];
+
+/**
+ * Prompt to extract a statement's transactions
+ * @param {string} text - The statement text, or a window of its pages
+ * @param {object} window - Which pages the text is, when it is part of a longer statement
+ * @param {number} window.firstPage
+ * @param {number} window.lastPage
+ * @param {number} window.totalPages
+ * @param {boolean} window.transactions - Whether to ask for the transactions, which aren't needed
+ * when they have been read from the statement's tables
+ * @returns {string}
+ */
+export function buildStatementExtractionPrompt(text, { firstPage, lastPage, totalPages, transactions = true } = {}) {
+    const windowNote = totalPages > lastPage - firstPage + 1
+        ? `
+        This text is pages ${firstPage} to ${lastPage} of a ${totalPages} page document.${transactions ? ' List only the transactions on these pages.' : ''}
+        For startingBalance and closingBalance give the balance at the start and end of these pages, such as a balance brought or carried forward.
+        `
+        : '';
+
     return `
-        The following is a JSON summary of the analysis results and the newly created files based on the split:
-        ${JSON.stringify(analysisResults, null, 2)}
+        Respond in JSON format.
+
+        Analyze the following text and respond with a JSON object containing the following fields:
+${windowNote}
+        The category of the document in a field called "category": ${statementCategories.map((category) => `"${category}"`).join(", ")}.
 
-        Please produce an HTML report listing each file name, the category and page range of the file, and a summary of the content, for all files. 
+        If it's a bank/credit card statement, add the following fields:
+        - startingBalance
+        - closingBalance${transactions ? `
+        - csv: A CSV formatted string with headers: Date, Transaction Detail, Income, Expenditure, Skip. Enclose transaction detail in double quotes if it contains commas. Format expenditure and income as floats with no $ or , characters
+        Skip should be true if the transaction is a transfer or a payment into a credit card account, or an opening or closing balance row.` : ''}
+        - bankName: the bank or card issuer
+        - accountNumber: the account or card number as printed on the statement
+        - accountHolder: the name of the account holder, or holders, as printed on the statement
+        - address: the account holder's address as printed on the statement
+        - periodStart and periodEnd: the first and last dates of the statement period, formatted as YYYY-MM-DD
+
+        ---
+        ${text}
     `;
 }
 
+/**
+ * Prompt to find the transfers among transactions read from a statement's tables, which are
+ * marked Skip like those the statement extraction prompt marks
+ * @param {Array<object>} transactions - index, date, detail, income and expenditure of each
+ * @returns {string}
+ */
+export function buildTransferPrompt(transactions) {
+    return `
+        Respond in JSON format.
+
+        The following transactions are from a New Zealand bank or credit card statement.
+        Respond with a JSON object with a field called "skip": an array of the indexes of the transactions that are transfers between the account holder's own accounts or payments into a credit card account. Use an empty array if there are none.
+
+        ---
+        ${JSON.stringify(transactions, null, 2)}
+    `;
+}
+
+// Fields of a statement transaction table that columns can be mapped to
+export const transactionTableFields = ["date", "detail", "income", "expenditure", "amount", "balance"];
+
+/**
+ * Prompt to map the columns of a statement's transaction table to transaction fields
+ * @param {string[]} headers - The column headers
+ * @param {Array<string[]>} sampleRows - A few rows of the table
+ * @returns {string}
+ */
+export function buildTableHeaderPrompt(headers, sampleRows) {
+    return `
+        Respond in JSON format.
+
+        The following table is from a bank or credit card statement. Its columns are numbered from 0.
+        Respond with a JSON object saying which column holds each of these fields, or null if no column does:
+        - date: the transaction date
+        - detail: a list of the columns describing the transaction, such as particulars, code and reference, in the order they should be read
+        - income: money into the account, such as deposits or credits
+        - expenditure: money out of the account, such as withdrawals or debits
+        - amount: a single signed amount column, only if there are no separate income and expenditure columns
+        - balance: the running balance
+
+        Columns:
+        ${headers.map((header, index) => `${index}: ${header}`).join("\n        ")}
+
+        Sample rows:
+        ${sampleRows.map((row) => row.join(" | ")).join("\n        ")}
+    `;
+}
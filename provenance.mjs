@@ -0,0 +1,152 @@
+import fs from 'fs/promises';
+import path from 'path';
+import PDFLib from 'pdf-lib';
+import { normaliseDescription } from './dedupe.mjs';
+
+/**
+ * Read the _layout.json written next to a split PDF
+ * @param {string} layoutPath
+ * @returns {Promise<Array<object>|null>} - The document's pages in order, or null if there is no layout
+ */
+export async function loadLayout(layoutPath) {
+    try {
+        return JSON.parse(await fs.readFile(layoutPath, 'utf8'));
+    } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+    }
+}
+
+// Amounts as they might be printed: 1234.5 as 1234.50 or 1,234.50
+const amountForms = (value) => {
+    const amount = Number(value);
+    if (!value || Number.isNaN(amount) || amount === 0) return [];
+    const fixed = Math.abs(amount).toFixed(2);
+    return [fixed, Math.abs(amount).toLocaleString('en-NZ', { minimumFractionDigits: 2, maximumFractionDigits: 2 })];
+};
+
+const boundingBox = (polygon = []) => {
+    const xs = polygon.filter((_, index) => index % 2 === 0);
+    const ys = polygon.filter((_, index) => index % 2 === 1);
+    return xs.length ? [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)] : null;
+};
+
+/**
+ * How well a printed line matches a transaction: 1 for its amount, plus the share of the words
+ * of its description that are on the line
+ */
+function matchScore(row, content) {
+    const text = content.replace(/\$/g, '');
+    const amounts = [...amountForms(row.Income), ...amountForms(row.Expenditure)];
+    const amountScore = amounts.some((amount) => text.includes(amount)) ? 1 : 0;
+
+    const words = normaliseDescription(row.TransactionDetail).split(' ').filter((word) => word.length > 2);
+    const line = ` ${normaliseDescription(content)} `;
+    const wordScore = words.length ? words.filter((word) => line.includes(` ${word} `)).length / words.length : 0;
+
+    return amountScore + wordScore;
+}
+
+/**
+ * Find where each transaction is printed. Each row is matched to the line that best matches its
+ * amount and description, preferring lines after the previous row's so repeated amounts are
+ * matched in order. Rows with no line matching both their amount and at least half their
+ * description are left unlocated.
+ * @param {Array<object>} rows - Normalised statement rows
+ * @param {Array<object>} layout - The document's pages, from loadLayout or extractPages
+ * @returns {Array<object>} - The rows, with SourcePage (the page of the application), DocumentPage
+ * (the page of the document) and BoundingBox ("left,top,right,bottom" in the page's unit) where found
+ */
+export function locateTransactions(rows, layout) {
+    if (!layout) return rows;
+
+    const lines = layout.flatMap((page, pageIndex) =>
+        page.lines.map((line) => ({ ...line, pageIndex, pageNumber: page.pageNumber })));
+    const used = new Set();
+    let cursor = 0;
+
+    return rows.map((row) => {
+        let best = null;
+        lines.forEach((line, index) => {
+            if (used.has(index)) return;
+            const score = matchScore(row, line.content);
+            // Ties go to the first line at or after the cursor
+            const rank = score - (index < cursor ? 0.01 : 0);
+            if (score >= 1.5 && (!best || rank > best.rank)) {
+                best = { index, rank, line };
+            }
+        });
+        if (!best) return row;
+
+        used.add(best.index);
+        cursor = best.index + 1;
+        return {
+            ...row,
+            SourcePage: best.line.pageNumber ?? '',
+            DocumentPage: best.line.pageIndex + 1,
+            BoundingBox: boundingBox(best.line.polygon)?.map((value) => Math.round(value * 1000) / 1000).join(',') ?? '',
+        };
+    });
+}
+
+/**
+ * Write a copy of a split PDF with the transactions that were counted highlighted
+ * @param {string} pdfPath - The split PDF
+ * @param {Array<object>} layout - Its pages, from loadLayout
+ * @param {Array<object>} rows - Located rows, from locateTransactions
+ * @param {string} outputPath - Where to write the highlighted copy
+ * @returns {Promise<number>} - The number of rows highlighted
+ */
+export async function writeHighlightedPdf(pdfPath, layout, rows, outputPath) {
+    const pdfDoc = await PDFLib.PDFDocument.load(await fs.readFile(pdfPath));
+    const pages = pdfDoc.getPages();
+    let highlighted = 0;
+
+    for (const row of rows) {
+        const pageIndex = Number(row.DocumentPage) - 1;
+        const page = pages[pageIndex];
+        const pageLayout = layout[pageIndex];
+        if (!page || !pageLayout || !row.BoundingBox) continue;
+
+        // Layouts are measured from the top left, in inches or pixels; PDF points from the bottom left
+        const scale = page.getWidth() / pageLayout.width;
+        const [left, top, right, bottom] = row.BoundingBox.split(',').map(Number);
+        page.drawRectangle({
+            x: left * scale - 2,
+            y: page.getHeight() - bottom * scale - 2,
+            width: (right - left) * scale + 4,
+            height: (bottom - top) * scale + 4,
+            color: PDFLib.rgb(1, 0.85, 0),
+            opacity: 0.35,
+            borderColor: PDFLib.rgb(0.9, 0.6, 0),
+            borderWidth: 0.5,
+        });
+        highlighted++;
+    }
+
+    await fs.writeFile(outputPath, await pdfDoc.save());
+    return highlighted;
+}
+
+/**
+ * Write a highlighted copy of each statement's PDF, marking the consolidated rows that came from it
+ * @param {string} folder - The output folder, holding the split PDFs and their _layout.json files
+ * @param {Array<object>} statements - The entries of statements.json
+ * @param {Array<object>} rows - The consolidated rows
+ * @returns {Promise<string[]>} - The highlighted PDFs written
+ */
+export async function highlightStatements(folder, statements, rows) {
+    const written = [];
+    for (const statement of statements) {
+        const layout = await loadLayout(path.join(folder, statement.document.replace(/\.pdf$/i, '_layout.json')));
+        const pdfPath = path.join(folder, statement.document);
+        if (!layout || !(await fs.stat(pdfPath).catch(() => null))) continue;
+
+        const outputPath = path.join(folder, statement.document.replace(/\.pdf$/i, '_highlighted.pdf'));
+        const statementRows = rows.filter(({ Filename }) => Filename === statement.file);
+        const count = await writeHighlightedPdf(pdfPath, layout, statementRows, outputPath);
+        console.log(`Highlighted ${count} of ${statementRows.length} transactions in ${path.basename(outputPath)}`);
+        written.push(outputPath);
+    }
+    return written;
+}
@@ -0,0 +1,125 @@
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const recordingsFolder = process.env.LLM_REPLAY_DIR || './recordings';
+
+/**
+ * Key for a recorded chat completion. Only the fields that affect the answer are hashed,
+ * so a response recorded against Azure replays for the same request sent to any backend.
+ * @param {object} body - The chat completion request payload
+ * @returns {string} - Hex digest identifying the request
+ */
+export function recordingKey(body) {
+    const { messages, max_tokens, temperature, top_p } = body;
+    return crypto.createHash('sha256')
+        .update(JSON.stringify({ messages, max_tokens, temperature, top_p }))
+        .digest('hex');
+}
+
+/**
+ * Read a recorded response from the recordings folder
+ * @param {string} key - The recording key
+ * @returns {Promise<object|null>} - The recorded response, or null if there is none
+ */
+export async function readRecording(key) {
+    try {
+        const data = await fs.readFile(path.join(recordingsFolder, `${key}.json`), 'utf8');
+        return JSON.parse(data).response;
+    } catch (err) {
+        if (err.code === 'ENOENT') {
+            return null;
+        }
+        throw err;
+    }
+}
+
+/**
+ * Write a response to the recordings folder so it can be replayed offline later
+ * @param {string} key - The recording key
+ * @param {object} request - The request that produced the response, kept for reference
+ * @param {object} response - The response data
+ */
+export async function writeRecording(key, request, response) {
+    await fs.mkdir(recordingsFolder, { recursive: true });
+    await fs.writeFile(
+        path.join(recordingsFolder, `${key}.json`),
+        JSON.stringify({ request, response }, null, 2),
+        'utf8'
+    );
+}
+
+function azureProvider({ post }) {
+    const endpoint = process.env.AZURE_OPENAI_ENDPOINT; // full deployment URL, e.g. https://<resource-name>.openai.azure.com/openai/deployments/<deployment>/chat/completions?api-version=...
+    const apiKey = process.env.AZURE_API_KEY;
+
+    return {
+        name: 'azure',
+        async complete(body, options) {
+            return post(endpoint, body, {
+                'Content-Type': 'application/json',
+                'api-key': apiKey,
+            }, options);
+        },
+    };
+}
+
+function openAiCompatibleProvider({ post }) {
+    // e.g. http://localhost:8080/v1 for llama.cpp, http://localhost:8000/v1 for vLLM
+    const baseUrl = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    const apiKey = process.env.OPENAI_API_KEY;
+    const model = process.env.OPENAI_MODEL;
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+        headers.Authorization = `Bearer ${apiKey}`;
+    }
+
+    return {
+        name: 'openai',
+        async complete(body, options) {
+            return post(`${baseUrl}/chat/completions`, { ...(model && { model }), ...body }, headers, options);
+        },
+    };
+}
+
+function replayProvider() {
+    return {
+        name: 'replay',
+        async complete(body) {
+            const key = recordingKey(body);
+            const response = await readRecording(key);
+            if (!response) {
+                throw new Error(
+                    `No recorded response for request ${key} in ${recordingsFolder}. ` +
+                    'Record it by running once against a live provider with LLM_RECORD=true.'
+                );
+            }
+            return response;
+        },
+    };
+}
+
+const providers = {
+    azure: azureProvider,
+    openai: openAiCompatibleProvider,
+    replay: replayProvider,
+};
+
+/**
+ * Create the chat completion backend selected by LLM_PROVIDER
+ * @param {string} name - One of azure, openai or replay
+ * @param {object} options
+ * @param {function} options.post - POST function used by the HTTP backends, (url, body, headers, options) => data
+ * @returns {{ name: string, complete: function(object, object): Promise<object> }}
+ */
+export function createProvider(name, { post }) {
+    const factory = providers[name];
+    if (!factory) {
+        throw new Error(`Unknown LLM_PROVIDER "${name}". Expected one of: ${Object.keys(providers).join(', ')}`);
+    }
+    return factory({ post });
+}
@@ -0,0 +1,148 @@
+import { normaliseBalance, parseStatementAmount, signedAmount } from './normalise.mjs';
+
+const tolerance = 0.005;
+
+const balanceRowPattern = /\b(opening|closing|starting)\s+balance\b|\bbalance\s+(brought|carried)\s+forward\b/i;
+
+// Opening, closing and brought or carried forward balances, which are listed like transactions
+export const isBalanceRow = (row) => balanceRowPattern.test(row.TransactionDetail ?? '');
+
+/**
+ * Read an amount in a column of money in, or of money out, as normaliseRows reads it: brackets
+ * or a minus make it negative, and a CR marker makes it money in and DR money out, whichever
+ * column it is in
+ * @param {string|number} value
+ * @param {object} options
+ * @param {boolean} options.moneyOut - Whether the column is money out, such as Expenditure
+ * @returns {number} - 0 when the value is empty, NaN when it can't be read
+ */
+export function parseAmount(value, { moneyOut = false } = {}) {
+    const parsed = parseStatementAmount(value);
+    if (parsed.error) return NaN;
+    const sign = moneyOut ? -1 : 1;
+    return sign * signedAmount(parsed, sign);
+}
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const sameAmount = (a, b) => Math.abs(a - b) < tolerance;
+
+/**
+ * Find stated page numbers ("Page 2 of 5") in the statement text that are missing
+ * @param {string} text - Raw statement text
+ * @returns {number[]} - Missing page numbers
+ */
+function findMissingPages(text) {
+    const seen = new Set();
+    let total = 0;
+    for (const [, page, of] of text.matchAll(/page\s+(\d+)\s+of\s+(\d+)/gi)) {
+        seen.add(Number(page));
+        total = Math.max(total, Number(of));
+    }
+    const missing = [];
+    for (let page = 1; page <= total; page++) {
+        if (!seen.has(page)) missing.push(page);
+    }
+    return missing;
+}
+
+/**
+ * Check that opening balance + income - expenditure = closing balance for a statement.
+ * Rows marked Skip (transfers, credit card repayments) still move money on the account and are
+ * included; rows that are only the opening or closing balance are not.
+ * @param {object} statement
+ * @param {string} statement.category - The document category, credit card balances are amounts owed
+ * @param {string|number} statement.startingBalance
+ * @param {string|number} statement.closingBalance
+ * @param {Array<object>} statement.rows - Parsed rows, including those marked Skip
+ * @param {string} [statement.text] - Raw statement text, used to look for missing pages
+ * @returns {object} - The reconciliation result
+ */
+export function reconcileStatement({ category, startingBalance, closingBalance, rows, text }) {
+    const isCreditCard = category?.toLowerCase().includes('credit card') ?? false;
+    // A balance that is missing, as well as one that can't be read, can't be reconciled
+    const opening = normaliseBalance(startingBalance, isCreditCard) ?? NaN;
+    const closing = normaliseBalance(closingBalance, isCreditCard) ?? NaN;
+
+    const suspectedIssues = [];
+    const transactions = [];
+
+    for (const row of rows) {
+        if (isBalanceRow(row)) continue;
+
+        const income = parseAmount(row.Income);
+        const expenditure = parseAmount(row.Expenditure, { moneyOut: true });
+        if (Number.isNaN(income) || Number.isNaN(expenditure)) {
+            suspectedIssues.push({ type: 'unreadableAmount', row });
+            continue;
+        }
+        transactions.push({ row, income, expenditure });
+    }
+
+    const totalIncome = round(transactions.reduce((sum, { income }) => sum + income, 0));
+    const totalExpenditure = round(transactions.reduce((sum, { expenditure }) => sum + expenditure, 0));
+
+    if (Number.isNaN(opening) || Number.isNaN(closing)) {
+        return {
+            matched: false,
+            startingBalance, closingBalance, totalIncome, totalExpenditure,
+            expectedClosingBalance: null,
+            difference: null,
+            suspectedIssues: [{ type: 'missingBalance', message: 'The opening or closing balance is missing or could not be read' }, ...suspectedIssues],
+        };
+    }
+
+    // A credit card balance is the amount owed, so spending increases it
+    const expectedClosingBalance = isCreditCard
+        ? round(opening - totalIncome + totalExpenditure)
+        : round(opening + totalIncome - totalExpenditure);
+    const difference = round(closing - expectedClosingBalance);
+    const matched = Math.abs(difference) < tolerance && suspectedIssues.length === 0;
+
+    if (Math.abs(difference) >= tolerance) {
+        // Positive when the extracted rows under-count money into the account
+        const inflowShortfall = isCreditCard ? -difference : difference;
+        const gap = Math.abs(difference);
+
+        for (const { row, income, expenditure } of transactions) {
+            if (inflowShortfall > 0 ? sameAmount(expenditure, gap) : sameAmount(income, gap)) {
+                suspectedIssues.push({ type: 'suspectedExtraRow', message: 'Removing this row would reconcile the statement', row });
+            }
+            if (sameAmount(income + expenditure, gap / 2)) {
+                suspectedIssues.push({ type: 'suspectedWrongColumn', message: 'Income and expenditure may be swapped for this row', row });
+            }
+        }
+
+        const seen = new Map();
+        for (const { row, income, expenditure } of transactions) {
+            const key = `${row.Date}|${row.TransactionDetail}|${income}|${expenditure}`;
+            if (seen.has(key) && sameAmount(income + expenditure, gap)) {
+                suspectedIssues.push({ type: 'suspectedDuplicateRow', message: 'This row appears twice and one copy accounts for the difference', row });
+            }
+            seen.set(key, row);
+        }
+
+        const missingPages = text ? findMissingPages(text) : [];
+        if (missingPages.length > 0) {
+            suspectedIssues.push({ type: 'suspectedMissingPages', message: `Stated page numbers missing from the statement: ${missingPages.join(', ')}`, pages: missingPages });
+        }
+
+        suspectedIssues.push({
+            type: 'suspectedMissingRows',
+            message: inflowShortfall > 0
+                ? `Income of ${gap.toFixed(2)} (or less expenditure) is unaccounted for`
+                : `Expenditure of ${gap.toFixed(2)} (or less income) is unaccounted for`,
+        });
+    }
+
+    return {
+        matched,
+        startingBalance: opening,
+        closingBalance: closing,
+        totalIncome,
+        totalExpenditure,
+        expectedClosingBalance,
+        difference,
+        suspectedIssues,
+    };
+}
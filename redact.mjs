@@ -0,0 +1,153 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Personal information is replaced with placeholders before text is sent to the model
+export const redactionEnabled = process.env.REDACT_PII !== 'false';
+
+const irdWeights = [3, 2, 7, 6, 5, 4, 3, 2];
+const irdSecondaryWeights = [7, 4, 3, 2, 5, 2, 7, 6];
+
+/**
+ * Check an IRD number against its check digit, as specified by Inland Revenue
+ * @param {string} value - 8 or 9 digits, with or without separators
+ * @returns {boolean}
+ */
+export function isValidIrdNumber(value) {
+    const digits = value.replace(/\D/g, '').padStart(9, '0');
+    const number = Number(digits);
+    if (digits.length !== 9 || number <= 10000000 || number >= 150000000) return false;
+
+    const base = digits.slice(0, 8).split('').map(Number);
+    const checkDigit = (weights) => {
+        const remainder = base.reduce((sum, digit, index) => sum + digit * weights[index], 0) % 11;
+        return remainder === 0 ? 0 : 11 - remainder;
+    };
+
+    let check = checkDigit(irdWeights);
+    if (check === 10) check = checkDigit(irdSecondaryWeights);
+    return check !== 10 && check === Number(digits[8]);
+}
+
+const datePattern = /\b\d{1,2}[/.-]\d{1,2}[/.-](?:\d{4}|\d{2})\b|\b\d{1,2}(?:st|nd|rd|th)?\s+[A-Z][a-z]{2,8}\.?\s+\d{4}\b/g;
+
+const streetTypes = 'Street|St|Road|Rd|Avenue|Ave|Drive|Dr|Place|Pl|Crescent|Cres|Lane|Ln|Terrace|Tce|Way|Grove|Gr|Close|Court|Ct|Parade|Pde|Highway|Hwy|Boulevard|Blvd|Rise|Square|Sq';
+
+/**
+ * The kinds of personal information found, in the order they are looked for. Longer identifiers
+ * come first so their digits aren't mistaken for a shorter one. A detector with a context only
+ * applies to lines that match it or follow a line that does, as forms often print the label
+ * above the value.
+ */
+const detectors = [
+    { type: 'BANK_ACCOUNT', pattern: /\b\d{2}[- ]\d{4}[- ]\d{7}[- ]\d{2,3}\b/g },
+    { type: 'IRD_NUMBER', pattern: /\b\d{2,3}[- ]?\d{3}[- ]?\d{3}\b/g, valid: isValidIrdNumber },
+    { type: 'DATE_OF_BIRTH', pattern: datePattern, context: /\b(date of birth|d\.?o\.?b\b|born)/i },
+    { type: 'PASSPORT_NUMBER', pattern: /\b[A-Z]{1,2}\d{6,7}\b/g, context: /\bpassport\b/i },
+    { type: 'DRIVER_LICENCE', pattern: /\b[A-Z]{2}\d{6}\b/g, context: /\b(driver'?s?|driving)\b.*\blicen[cs]e\b|\blicen[cs]e (number|no)\b/i },
+    {
+        type: 'ADDRESS',
+        pattern: new RegExp(
+            `\\b(?:(?:Flat|Unit|Apt)\\s+\\w+,?\\s+)?\\d+[A-Za-z]?(?:/\\d+[A-Za-z]?)?\\s+(?:[A-Z][a-z']+\\s+){1,3}(?:${streetTypes})\\b\\.?` +
+            `(?:,\\s*[A-Z][a-z]+(?:\\s+[A-Z][a-z]+)*)*(?:,?\\s+\\d{4}\\b)?|\\bP\\.?\\s?O\\.?\\s+Box\\s+\\d+`,
+            'g'
+        ),
+    },
+];
+
+const placeholderPattern = /\[([A-Z_]+)_(\d+)\]/g;
+
+/**
+ * Create a redactor. It replaces personal information with placeholders such as [IRD_NUMBER_1],
+ * giving the same value the same placeholder every time, and can put the values back.
+ * @returns {{ redact: function(string): string, restore: function(*): *, found: function(): Array<object> }}
+ */
+export function createRedactor() {
+    const placeholders = new Map(); // value -> placeholder
+    const values = new Map(); // placeholder -> value
+    const counts = new Map();
+
+    const placeholderFor = (type, value) => {
+        const key = `${type}|${value}`;
+        if (!placeholders.has(key)) {
+            const count = (counts.get(type) ?? 0) + 1;
+            counts.set(type, count);
+            const placeholder = `[${type}_${count}]`;
+            placeholders.set(key, placeholder);
+            values.set(placeholder, value);
+        }
+        return placeholders.get(key);
+    };
+
+    const redactLine = (line, previousLine) => detectors.reduce((text, { type, pattern, valid, context }) => {
+        if (context && !context.test(line) && !context.test(previousLine)) return text;
+        return text.replace(pattern, (match) => (valid && !valid(match) ? match : placeholderFor(type, match)));
+    }, line);
+
+    return {
+        /**
+         * Replace the personal information in some text with placeholders
+         * @param {string} text
+         * @returns {string}
+         */
+        redact(text) {
+            const lines = String(text).split('\n');
+            return lines.map((line, index) => redactLine(line, lines[index - 1] ?? '')).join('\n');
+        },
+
+        /**
+         * Put the values back in place of placeholders, in a string or in every string of a parsed response
+         * @param {*} value
+         * @returns {*}
+         */
+        restore(value) {
+            if (typeof value === 'string') {
+                return value.replace(placeholderPattern, (placeholder) => values.get(placeholder) ?? placeholder);
+            }
+            if (Array.isArray(value)) {
+                return value.map((item) => this.restore(item));
+            }
+            if (value && typeof value === 'object') {
+                return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.restore(item)]));
+            }
+            return value;
+        },
+
+        /**
+         * @returns {Array<{ placeholder: string, type: string }>} - The placeholders used so far, without their values
+         */
+        found() {
+            return [...placeholders].map(([key, placeholder]) => ({ placeholder, type: key.split('|')[0] }));
+        },
+    };
+}
+
+// Outputs that can be shared once redacted
+const shareableExtensions = new Set(['.txt', '.md', '.html', '.csv', '.json']);
+
+/**
+ * Write redacted copies of the text outputs and reports in an output folder to a redacted
+ * folder inside it. One redactor is used for the whole folder, so a value has the same
+ * placeholder in every file.
+ * @param {string} folder - The output folder
+ * @returns {Promise<{ folder: string, files: string[], placeholders: Array<object> }>}
+ */
+export async function writeRedactedCopies(folder) {
+    const redactedFolder = path.join(folder, 'redacted');
+    await fs.mkdir(redactedFolder, { recursive: true });
+
+    const redactor = createRedactor();
+    const files = (await fs.readdir(folder, { withFileTypes: true }))
+        .filter((entry) => entry.isFile() && shareableExtensions.has(path.extname(entry.name).toLowerCase()))
+        .map(({ name }) => name)
+        .sort();
+
+    for (const file of files) {
+        const text = await fs.readFile(path.join(folder, file), 'utf8');
+        await fs.writeFile(path.join(redactedFolder, file), redactor.redact(text), 'utf8');
+    }
+
+    const placeholders = redactor.found();
+    await fs.writeFile(path.join(redactedFolder, 'redactions.json'), JSON.stringify(placeholders, null, 2), 'utf8');
+
+    return { folder: redactedFolder, files, placeholders };
+}
@@ -0,0 +1,150 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { loadSources } from './intake.mjs';
+
+// Documents with any page below this confidence are listed as warnings
+export const lowConfidenceThreshold = 3;
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Describe a list of page numbers as ranges, e.g. [1, 2, 3, 5] as "1–3, 5"
+ * @param {number[]} pages
+ * @returns {string}
+ */
+export function formatPageRanges(pages = []) {
+    const ranges = [];
+    for (const page of pages) {
+        const last = ranges[ranges.length - 1];
+        if (last && page === last[1] + 1) {
+            last[1] = page;
+        } else {
+            ranges.push([page, page]);
+        }
+    }
+    return ranges.map(([first, last]) => (first === last ? `${first}` : `${first}–${last}`)).join(', ');
+}
+
+/**
+ * Describe where a document's pages came from, e.g. "statement.pdf p. 1–3; payslip.jpg p. 1"
+ * @param {Array<object>} sources - The manifest entry's sources
+ * @returns {string}
+ */
+export function formatSources(sources = []) {
+    const files = [];
+    for (const { file, page } of sources) {
+        const last = files[files.length - 1];
+        if (last?.file === file) {
+            last.pages.push(page);
+        } else {
+            files.push({ file, pages: [page] });
+        }
+    }
+    return files.map(({ file, pages }) => `${file} p. ${formatPageRanges(pages)}`).join('; ');
+}
+
+/**
+ * Warnings for a manifest entry: low confidence, pages categorised differently from the
+ * document, page numbering issues and risk flags
+ * @param {object} document - A manifest entry
+ * @returns {string[]}
+ */
+export function documentWarnings(document) {
+    const warnings = [];
+    if (document.confidence !== undefined && document.confidence < lowConfidenceThreshold) {
+        warnings.push(`Low categorisation confidence (${document.confidence} of 5)`);
+    }
+    for (const { pageNumber, category } of document.categoryMismatches ?? []) {
+        warnings.push(`Page ${pageNumber} was categorised as "${category}"`);
+    }
+    for (const { message } of document.pageNumberingIssues ?? []) {
+        warnings.push(message);
+    }
+    for (const { severity, message } of document.riskFlags ?? []) {
+        warnings.push(`Risk (${severity}): ${message}`);
+    }
+    return warnings;
+}
+
+/**
+ * Render the split report as HTML. The output depends only on the manifest, so the same
+ * split always produces the same report.
+ * @param {Array<object>} manifest - The manifest.json written by the split
+ * @param {object} options
+ * @param {string} options.title - Report title
+ * @param {Array<object>} options.unreadable - Input files that couldn't be read, from sources.json
+ * @returns {string}
+ */
+export function renderReport(manifest, { title = 'Document split report', unreadable = [] } = {}) {
+    const rows = manifest.map((document) => `
+            <tr>
+                <td><a href="${escapeHtml(encodeURIComponent(document.filename))}">${escapeHtml(document.filename)}</a></td>
+                <td>${escapeHtml(document.category)}</td>
+                <td>${escapeHtml(formatPageRanges(document.pages))}</td>
+                <td>${escapeHtml(formatSources(document.sources))}</td>
+                <td>${escapeHtml(document.confidence)}</td>
+                <td>${escapeHtml(document.summary)}</td>
+            </tr>`).join('');
+
+    const warnings = manifest
+        .map((document) => ({ filename: document.filename, warnings: documentWarnings(document) }))
+        .filter(({ warnings: documentWarningList }) => documentWarningList.length > 0);
+
+    const unreadableSection = unreadable.length === 0 ? '' : `
+        <p>Files that could not be read:</p>
+        <ul>${unreadable.map(({ message }) => `<li>${escapeHtml(message)}</li>`).join('')}</ul>`;
+
+    const warningSection = warnings.length === 0
+        ? (unreadable.length === 0 ? '<p>No warnings.</p>' : '')
+        : `<ul>${warnings.map(({ filename, warnings: documentWarningList }) => `
+            <li><a href="${escapeHtml(encodeURIComponent(filename))}">${escapeHtml(filename)}</a>
+                <ul>${documentWarningList.map((warning) => `<li>${escapeHtml(warning)}</li>`).join('')}</ul>
+            </li>`).join('')}
+        </ul>`;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <title>${escapeHtml(title)}</title>
+    <style>
+        body { font-family: sans-serif; margin: 2em; }
+        table { border-collapse: collapse; width: 100%; }
+        th, td { border: 1px solid #ccc; padding: 0.4em; text-align: left; vertical-align: top; }
+        th { background: #f0f0f0; }
+        .warnings { background: #fff4e5; border: 1px solid #f0a040; padding: 0.5em 1em; margin-bottom: 1.5em; }
+    </style>
+</head>
+<body>
+    <h1>${escapeHtml(title)}</h1>
+    <p>${manifest.length} documents, ${manifest.reduce((sum, { pages = [] }) => sum + pages.length, 0)} pages.</p>
+    <section class="warnings">
+        <h2>Warnings</h2>${unreadableSection}
+        ${warningSection}
+    </section>
+    <table>
+        <thead>
+            <tr><th>File</th><th>Category</th><th>Pages</th><th>Source</th><th>Confidence</th><th>Summary</th></tr>
+        </thead>
+        <tbody>${rows}
+        </tbody>
+    </table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Write report.html for the manifest.json and sources.json in an output folder
+ * @param {string} folder - The output folder
+ */
+export async function generateReport(folder) {
+    const manifest = JSON.parse(await fs.readFile(path.join(folder, 'manifest.json'), 'utf8'));
+    const unreadable = (await loadSources(folder))?.sources.filter(({ error }) => error) ?? [];
+    const html = renderReport(manifest, { title: `Document split report: ${path.basename(path.resolve(folder))}`, unreadable });
+    await fs.writeFile(path.join(folder, 'report.html'), html, 'utf8');
+}
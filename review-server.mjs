@@ -0,0 +1,309 @@
+import http from 'http';
+import fs from 'fs/promises';
+import path from 'path';
+import { documentCategories } from './prompts.mjs';
+import { loadPageAnalysis, resplitApplication } from './split-pdf.mjs';
+import { readPage } from './page-text.mjs';
+import { loadReviewQueue } from './triage.mjs';
+
+// Split documents are written into the output folder under these names, so a name can't lead
+// out of it; otherwise any name the model suggests, such as "Jane's payslip.pdf", is kept
+const isValidFilename = (filename) => /^[^/\\\x00-\x1f]+\.pdf$/i.test(filename) && !filename.includes('..');
+
+const maxBodyBytes = 5 * 1024 * 1024;
+
+export class ReviewError extends Error {}
+
+/**
+ * The pages of a split for review, one entry per page. Where the overlap between analysis
+ * batches gave a page twice, the first analysis is used, as splitPdf does.
+ * @param {{ pages: Array<object>, analysis: Array<object> }} saved - The page_analysis.json of the split
+ * @param {object} queue - The review_queue.json of the split, if any
+ * @returns {Array<object>} - pageNumber, text, filename, category, confidence and summary of each
+ * page, and why it is queued for review and where the second opinion disagrees
+ */
+export function reviewPages({ pages, analysis }, queue) {
+    return pages.map((page) => {
+        const result = analysis.find(({ pageNumber }) => pageNumber === page.pageNumber) ?? {};
+        const queued = queue?.pages.find(({ pageNumber }) => pageNumber === page.pageNumber);
+        return {
+            pageNumber: page.pageNumber,
+            text: readPage(page),
+            filename: result.filename ?? '',
+            category: result.category ?? '',
+            confidence: result.confidence ?? null,
+            summary: result.summary ?? '',
+            reasons: queued?.reasons ?? [],
+            disagreements: queued?.disagreements ?? [],
+        };
+    });
+}
+
+/**
+ * Apply a reviewer's assignments to the page analysis. Pages moved to a document of their own
+ * take the summary of the document's first page.
+ * @param {Array<object>} analysis - The saved page analysis
+ * @param {Array<{ pageNumber: number, filename: string, category: string }>} assignments - One per page
+ * @returns {Array<object>} - The corrected analysis, one entry per page
+ * @throws {ReviewError} - If a page is missing or an assignment is invalid
+ */
+export function applyAssignments(analysis, assignments) {
+    const pageNumbers = [...new Set(analysis.map(({ pageNumber }) => pageNumber))].sort((a, b) => a - b);
+    const byPage = new Map(assignments.map((assignment) => [Number(assignment.pageNumber), assignment]));
+
+    const corrected = pageNumbers.map((pageNumber) => {
+        const assignment = byPage.get(pageNumber);
+        if (!assignment) {
+            throw new ReviewError(`Page ${pageNumber} has not been assigned to a document`);
+        }
+        // Files are named after the PDF with its extension swapped, so it is always lower case
+        const filename = String(assignment.filename ?? '').trim().replace(/\.pdf$/i, '.pdf');
+        if (!isValidFilename(filename)) {
+            throw new ReviewError(`"${filename}" is not a valid file name for page ${pageNumber}, it must end in .pdf and can't contain "/", "\\" or ".."`);
+        }
+        if (!documentCategories.includes(assignment.category)) {
+            throw new ReviewError(`"${assignment.category}" is not a category (page ${pageNumber})`);
+        }
+
+        const original = analysis.find((result) => result.pageNumber === pageNumber);
+        const changed = original.filename !== filename || original.category !== assignment.category;
+        return { ...original, filename, category: assignment.category, ...(changed ? { reviewed: true } : {}) };
+    });
+
+    // A document's summary comes from its first page
+    const summaries = new Map();
+    for (const result of corrected) {
+        if (!summaries.has(result.filename)) summaries.set(result.filename, result.summary);
+    }
+    return corrected.map((result) => ({ ...result, summary: summaries.get(result.filename) }));
+}
+
+async function readBody(request) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of request) {
+        size += chunk.length;
+        if (size > maxBodyBytes) throw new ReviewError('The request is too large');
+        chunks.push(chunk);
+    }
+    try {
+        return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch {
+        throw new ReviewError('The request is not valid JSON');
+    }
+}
+
+/**
+ * Whether a request comes from the review page itself. Another site open in the reviewer's
+ * browser can post to the server, and a site that rebinds its own name to 127.0.0.1 can read
+ * from it, but neither can send this server's own address as the Host or Origin.
+ */
+function isFromReviewPage(request) {
+    const port = request.socket.localPort;
+    // Browsers leave the default port out of the Host and Origin
+    const hosts = ['127.0.0.1', 'localhost'].flatMap((name) => (port === 80 ? [name, `${name}:80`] : [`${name}:${port}`]));
+    const { host, origin } = request.headers;
+    return hosts.includes(host) && (origin === undefined || hosts.some((allowed) => origin === `http://${allowed}`));
+}
+
+const sendJson = (response, status, data) => {
+    response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    response.end(JSON.stringify(data));
+};
+
+/**
+ * Create the review app for a split output folder. It serves the review page, the pages and
+ * their analysis, and saves corrections by splitting the application again.
+ * @param {string} folder - The output folder of a split
+ * @returns {http.Server}
+ */
+export function createReviewServer(folder) {
+    return http.createServer(async (request, response) => {
+        const url = new URL(request.url, 'http://localhost');
+        if (!isFromReviewPage(request)) {
+            sendJson(response, 403, { error: 'Requests are only accepted from the review page' });
+            return;
+        }
+        try {
+            if (request.method === 'GET' && url.pathname === '/') {
+                response.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+                response.end(reviewPage(path.basename(path.resolve(folder))));
+            } else if (request.method === 'GET' && url.pathname === '/api/pages') {
+                sendJson(response, 200, { pages: reviewPages(await loadPageAnalysis(folder), await loadReviewQueue(folder)), categories: documentCategories });
+            } else if (request.method === 'POST' && url.pathname === '/api/save') {
+                // A form or a simple cross-site request can't send JSON without a preflight
+                if (!/^application\/json\s*(;|$)/i.test(request.headers['content-type'] ?? '')) {
+                    sendJson(response, 415, { error: 'Expected a JSON request' });
+                    return;
+                }
+                const { assignments } = await readBody(request);
+                if (!Array.isArray(assignments)) throw new ReviewError('Expected a list of page assignments');
+                const { analysis } = await loadPageAnalysis(folder);
+                const files = await resplitApplication(folder, applyAssignments(analysis, assignments));
+                console.log(`Saved the review, ${files.length} documents`);
+                sendJson(response, 200, { documents: files.map(({ filename, pages }) => ({ filename, pages })) });
+            } else if (request.method === 'GET' && /^\/files\/[^/]+$/.test(url.pathname)) {
+                // Only the split PDFs and the report, by name, from the output folder itself
+                let file;
+                try {
+                    file = path.basename(decodeURIComponent(url.pathname.slice('/files/'.length)));
+                } catch {
+                    throw new ReviewError('The file name is not valid');
+                }
+                const type = { '.pdf': 'application/pdf', '.html': 'text/html; charset=utf-8' }[path.extname(file).toLowerCase()];
+                if (!type) throw new ReviewError('Only PDFs and the report can be opened');
+                const content = await fs.readFile(path.join(folder, file));
+                response.writeHead(200, { 'Content-Type': type });
+                response.end(content);
+            } else {
+                sendJson(response, 404, { error: 'Not found' });
+            }
+        } catch (error) {
+            if (error instanceof ReviewError) {
+                sendJson(response, 400, { error: error.message });
+            } else if (error.code === 'ENOENT') {
+                sendJson(response, 404, { error: `Not found: ${path.basename(error.path ?? '')}` });
+            } else {
+                console.error(error);
+                sendJson(response, 500, { error: error.message });
+            }
+        }
+    });
+}
+
+/**
+ * Serve the review app for an output folder on this machine only
+ * @param {string} folder - The output folder of a split
+ * @param {object} options
+ * @param {number} options.port
+ * @returns {Promise<http.Server>} - The listening server
+ */
+export async function startReviewServer(folder, { port = 8080 } = {}) {
+    await loadPageAnalysis(folder); // Fail before listening if the folder has no saved split
+    const server = createReviewServer(folder);
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, '127.0.0.1', resolve);
+    });
+    return server;
+}
+
+const reviewPage = (title) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <title>Review split: ${title.replace(/[<>&"]/g, '')}</title>
+    <style>
+        body { font-family: sans-serif; margin: 2em; }
+        table { border-collapse: collapse; width: 100%; }
+        th, td { border: 1px solid #ccc; padding: 0.4em; text-align: left; vertical-align: top; }
+        th { background: #f0f0f0; position: sticky; top: 0; }
+        tr.first td { border-top: 3px solid #888; }
+        pre { white-space: pre-wrap; max-height: 20em; overflow: auto; background: #fafafa; }
+        input[type=text] { width: 16em; }
+        .toolbar { position: sticky; top: 0; background: #fff; padding: 0.5em 0; z-index: 1; }
+        .low { color: #b00; font-weight: bold; }
+        tr.queued { background: #fff4e5; }
+        #status { margin-left: 1em; }
+    </style>
+</head>
+<body>
+    <h1>Review split</h1>
+    <p>Change a page's file name to move it to another document. Give pages a new file name to split them into a
+        document of their own, or the name of another document to merge them into it. Saving splits the PDF again
+        from these assignments, without asking the model.</p>
+    <div class="toolbar">
+        Selected pages:
+        <input type="text" id="moveTo" list="filenames" placeholder="document file name">
+        <button id="move">Move</button>
+        <select id="categoryTo"></select>
+        <button id="setCategory">Set category</button>
+        <button id="save">Save and split again</button>
+        <label><input type="checkbox" id="queuedOnly"> Only pages to review</label>
+        <a href="/files/report.html" target="_blank">Report</a>
+        <span id="status"></span>
+    </div>
+    <datalist id="filenames"></datalist>
+    <table>
+        <thead>
+            <tr><th></th><th>Page</th><th>Document</th><th>Category</th><th>Confidence</th><th>To review</th><th>Summary</th><th>Text</th></tr>
+        </thead>
+        <tbody id="pages"></tbody>
+    </table>
+    <script>
+        let pages = [];
+        let categories = [];
+        const $ = (id) => document.getElementById(id);
+        const escape = (value) => String(value ?? '').replace(/[&<>"]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+        const status = (message) => { $('status').textContent = message; };
+
+        function render() {
+            const filenames = [...new Set(pages.map(({ filename }) => filename))];
+            $('filenames').innerHTML = filenames.map((name) => '<option value="' + escape(name) + '">').join('');
+            $('categoryTo').innerHTML = categories.map((category) => '<option>' + escape(category) + '</option>').join('');
+            $('pages').innerHTML = pages.map((page, index) => {
+                const first = index === 0 || pages[index - 1].filename !== page.filename;
+                const queued = page.reasons.length > 0;
+                if ($('queuedOnly').checked && !queued) return '';
+                return '<tr class="' + (first ? 'first' : '') + (queued ? ' queued' : '') + '">' +
+                    '<td><input type="checkbox" data-page="' + page.pageNumber + '"></td>' +
+                    '<td>' + page.pageNumber + '</td>' +
+                    '<td><input type="text" list="filenames" data-field="filename" data-index="' + index + '" value="' + escape(page.filename) + '">' +
+                    (first ? ' <a href="/files/' + encodeURIComponent(page.filename) + '" target="_blank">open</a>' : '') + '</td>' +
+                    '<td><select data-field="category" data-index="' + index + '">' + categories.map((category) =>
+                        '<option' + (category === page.category ? ' selected' : '') + '>' + escape(category) + '</option>').join('') + '</select></td>' +
+                    '<td class="' + (page.confidence < 3 ? 'low' : '') + '">' + escape(page.confidence) + '</td>' +
+                    '<td>' + escape(page.reasons.join(', ')) + page.disagreements.map((disagreement) =>
+                        '<br>Second opinion: ' + escape(disagreement.field) + ' ' + escape(disagreement.secondOpinion)).join('') + '</td>' +
+                    '<td>' + escape(page.summary) + '</td>' +
+                    '<td><details><summary>Text</summary><pre>' + escape(page.text) + '</pre></details></td>' +
+                    '</tr>';
+            }).join('');
+        }
+
+        function selected() {
+            return [...document.querySelectorAll('input[type=checkbox]:checked')].map((box) => Number(box.dataset.page));
+        }
+
+        $('pages').addEventListener('change', (event) => {
+            const { field, index } = event.target.dataset;
+            if (field) {
+                pages[index][field] = event.target.value.trim();
+                render();
+            }
+        });
+        $('move').addEventListener('click', () => {
+            const filename = $('moveTo').value.trim();
+            if (!filename) return status('Enter the document to move the pages to');
+            const moving = selected();
+            pages.forEach((page) => { if (moving.includes(page.pageNumber)) page.filename = filename; });
+            render();
+        });
+        $('queuedOnly').addEventListener('change', render);
+        $('setCategory').addEventListener('click', () => {
+            const moving = selected();
+            pages.forEach((page) => { if (moving.includes(page.pageNumber)) page.category = $('categoryTo').value; });
+            render();
+        });
+        $('save').addEventListener('click', async () => {
+            status('Saving...');
+            const response = await fetch('/api/save', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ assignments: pages.map(({ pageNumber, filename, category }) => ({ pageNumber, filename, category })) }),
+            });
+            const result = await response.json();
+            if (!response.ok) return status(result.error);
+            status('Saved, ' + result.documents.length + ' documents. Extract the statements again to update them.');
+            await load();
+        });
+
+        async function load() {
+            ({ pages, categories } = await (await fetch('/api/pages')).json());
+            render();
+        }
+        load();
+    </script>
+</body>
+</html>
+`;
@@ -0,0 +1,194 @@
+import Ajv from 'ajv';
+import { documentCategories, transactionTableFields } from './prompts.mjs';
+
+// The prompts ask for "an integer" inside a JSON string, so numeric strings are accepted
+const ajv = new Ajv({ allErrors: true, coerceTypes: true, allowUnionTypes: true });
+
+const compiled = new Map();
+
+const stringOrNumber = { type: ['string', 'number', 'null'] };
+
+// A null balance would be coerced to an empty string, so both are rejected
+const requiredAmount = { type: ['string', 'number'], pattern: '\\S' };
+
+/**
+ * Schema for the page analysis returned for one batch of pages by buildPdfExtractionPrompt
+ * @param {number} firstPage - First page number in the batch
+ * @param {number} lastPage - Last page number in the batch
+ * @returns {object} - JSON Schema
+ */
+export function pageAnalysisSchema(firstPage, lastPage) {
+    return {
+        type: 'array',
+        minItems: 1,
+        items: {
+            type: 'object',
+            required: ['pageNumber', 'category', 'confidence', 'filename', 'summary'],
+            properties: {
+                pageNumber: { type: 'integer', minimum: firstPage, maximum: lastPage },
+                category: { type: 'string', enum: documentCategories },
+                confidence: { type: 'integer', minimum: 0, maximum: 5 },
+                filename: { type: 'string', minLength: 1 },
+                summary: { type: 'string' },
+                statedPageNumber: stringOrNumber,
+            },
+        },
+    };
+}
+
+/**
+ * Schema for the second opinion on a page returned by buildPageClassificationPrompt
+ * @returns {object} - JSON Schema
+ */
+export function pageClassificationSchema() {
+    return {
+        type: 'object',
+        required: ['category', 'confidence', 'startsNewDocument'],
+        properties: {
+            category: { type: 'string', enum: documentCategories },
+            confidence: { type: 'integer', minimum: 0, maximum: 5 },
+            startsNewDocument: { type: 'boolean' },
+            reason: { type: 'string' },
+        },
+    };
+}
+
+/**
+ * Schema for statement extraction responses. Bank and credit card statements must include the
+ * balances, as a number or a non-empty string, and the transaction CSV.
+ * @param {string[]} [categories] - Allowed categories, any string if not given
+ * @param {object} options
+ * @param {boolean} options.transactions - Whether the transaction CSV was asked for
+ * @returns {object} - JSON Schema
+ */
+export function statementExtractionSchema(categories, { transactions = true } = {}) {
+    return {
+        type: 'object',
+        required: ['category'],
+        properties: {
+            category: categories ? { type: 'string', enum: categories } : { type: 'string', minLength: 1 },
+            startingBalance: stringOrNumber,
+            closingBalance: stringOrNumber,
+            csv: { type: 'string' },
+            bankName: { type: ['string', 'null'] },
+            accountNumber: stringOrNumber,
+            accountHolder: { type: ['string', 'null'] },
+            address: { type: ['string', 'null'] },
+            periodStart: { type: ['string', 'null'], pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
+            periodEnd: { type: ['string', 'null'], pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
+        },
+        if: { properties: { category: { type: 'string', pattern: '[Bb]ank|[Cc]redit [Cc]ard' } } },
+        then: {
+            required: transactions ? ['startingBalance', 'closingBalance', 'csv'] : ['startingBalance', 'closingBalance'],
+            properties: { startingBalance: requiredAmount, closingBalance: requiredAmount, csv: { type: 'string', minLength: 1 } },
+        },
+    };
+}
+
+// JSON Schema for each type of document field
+const documentFieldTypes = {
+    text: { type: ['string', 'null'] },
+    amount: stringOrNumber,
+    date: { type: ['string', 'null'] },
+    number: { type: ['number', 'null'] },
+    items: {
+        type: ['array', 'null'],
+        items: { type: 'object', required: ['description'], properties: { description: { type: 'string' }, amount: stringOrNumber } },
+    },
+};
+
+// Types coerce null to an empty string, so a required value must also not be empty
+const requiredField = (type) => {
+    const schema = { ...documentFieldTypes[type], type: documentFieldTypes[type].type.filter((t) => t !== 'null') };
+    if (type === 'items') return { ...schema, minItems: 1 };
+    return schema.type.includes('string') ? { ...schema, minLength: 1 } : schema;
+};
+
+/**
+ * Schema for the details of a document returned by buildDocumentExtractionPrompt
+ * @param {Array<{ name: string, type: string }>} fields - The fields, of type text, amount, date, number or items
+ * @param {string[]} required - Fields the document must have a value for
+ * @returns {object} - JSON Schema
+ */
+export function documentExtractionSchema(fields, required = []) {
+    return {
+        type: 'object',
+        required: fields.map(({ name }) => name),
+        properties: Object.fromEntries(fields.map(({ name, type }) => [name, required.includes(name) ? requiredField(type) : documentFieldTypes[type]])),
+    };
+}
+
+/**
+ * Schema for transaction category responses from buildTransactionCategoryPrompt
+ * @param {string[]} categories - Allowed categories
+ * @param {number} count - Number of transactions in the batch
+ * @returns {object} - JSON Schema
+ */
+export function transactionCategorySchema(categories, count) {
+    return {
+        type: 'object',
+        required: ['categories'],
+        properties: {
+            categories: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['index', 'category'],
+                    properties: {
+                        index: { type: 'integer', minimum: 0, maximum: count - 1 },
+                        category: { type: 'string', enum: [...categories, 'Other'] },
+                    },
+                },
+            },
+        },
+    };
+}
+
+/**
+ * Schema for the transfers returned by buildTransferPrompt
+ * @param {number} count - Number of transactions in the batch
+ * @returns {object} - JSON Schema
+ */
+export function transferSchema(count) {
+    return {
+        type: 'object',
+        required: ['skip'],
+        properties: {
+            skip: { type: 'array', items: { type: 'integer', minimum: 0, maximum: count - 1 } },
+        },
+    };
+}
+
+/**
+ * Schema for the column mapping returned by buildTableHeaderPrompt
+ * @param {number} columnCount - Number of columns in the table
+ * @returns {object} - JSON Schema
+ */
+export function tableHeaderMappingSchema(columnCount) {
+    const column = { type: ['integer', 'null'], minimum: 0, maximum: columnCount - 1 };
+    return {
+        type: 'object',
+        required: transactionTableFields,
+        properties: {
+            ...Object.fromEntries(transactionTableFields.map((field) => [field, column])),
+            detail: { type: ['array', 'null'], items: { type: 'integer', minimum: 0, maximum: columnCount - 1 } },
+        },
+    };
+}
+
+/**
+ * Validate data against a schema
+ * @param {object} schema - JSON Schema
+ * @param {*} data - The parsed response; numeric strings are coerced in place
+ * @returns {string[]} - Error messages, empty when the data is valid
+ */
+export function validateSchema(schema, data) {
+    const serialized = JSON.stringify(schema);
+    if (!compiled.has(serialized)) {
+        compiled.set(serialized, ajv.compile(schema));
+    }
+    const validate = compiled.get(serialized);
+    if (validate(data)) return [];
+    return validate.errors.map(({ instancePath, message, params }) =>
+        `${instancePath || 'response'} ${message}${params.allowedValues ? `: ${params.allowedValues.join(', ')}` : ''}`);
+}
@@ -1,126 +1,205 @@
 import fs from 'fs/promises';
 import path from 'path';
 import PDFLib from 'pdf-lib';
-import axios from 'axios';
 import dotenv from 'dotenv';
-import { buildHtmlReportPrompt, buildPdfExtractionPrompt } from './prompts.mjs';
-import { getGptResponse, cache, saveCache, cachedPost } from './util.mjs';
+import { buildPdfExtractionPrompt } from './prompts.mjs';
+import { getValidatedJson, llmProviderName } from './util.mjs';
+import { generateReport } from './report.mjs';
+import { pageAnalysisSchema } from './schemas.mjs';
+import { documentAnalysisCacheKey, getCached, setCached, sha256 } from './cache-store.mjs';
+import { readRecording, writeRecording } from './providers.mjs';
+import { validateDocumentPages } from './page-numbering.mjs';
+import { extractTextLayer, pagesParameter, readPage } from './page-text.mjs';
+import { concurrency, mapWithConcurrency, pollOperation, request } from './http-client.mjs';
+import { openJob } from './job-state.mjs';
+import { loadReviewQueue, writeReviewQueue } from './triage.mjs';
+import { documentRiskFlags, inspectApplication } from './integrity.mjs';
+import { assembleApplication, listInputs, loadSources } from './intake.mjs';
 
 dotenv.config();
 
-const inputFile = process.argv[2];
-
-// output folder is based on input file name
-
-const outputFolder = path.join('./output', path.basename(inputFile, path.extname(inputFile)));
-
-// Create folder if it doesn't exist
-
-try {
-    await fs.mkdir(outputFolder, { recursive: true });
-}
-catch (err) {
-    console.error('Error creating output folder:', err);
-}
-
 const docIntelligenceEndpoint = process.env.DOC_INTELLIGENCE_ENDPOINT;
 const docIntelligenceApiKey = process.env.DOC_INTELLIGENCE_API_KEY;
 const docIntelligenceModelId = "prebuilt-document";
-const docIntelligenceUrl = `${docIntelligenceEndpoint}formrecognizer/documentModels/${docIntelligenceModelId}:analyze?api-version=2023-07-31`;
+const docIntelligenceApiVersion = "2023-07-31";
+const docIntelligenceUrl = `${docIntelligenceEndpoint}formrecognizer/documentModels/${docIntelligenceModelId}:analyze?api-version=${docIntelligenceApiVersion}`;
+
+// How long to wait for an analysis to finish
+const pollTimeoutMs = Number(process.env.DOC_INTELLIGENCE_POLL_TIMEOUT_MS || 10 * 60 * 1000);
+
+// Send every page to OCR, even those with a usable text layer
+const forceOcr = process.env.FORCE_OCR === 'true';
+
+/**
+ * Analyze a PDF with Document Intelligence
+ * @param {string} filePath - The PDF
+ * @param {number[]} pageNumbers - Only analyze these pages, all pages when omitted
+ * @returns {Promise<object>} - The analysis result
+ * @throws {HttpError} - If the analysis request failed or didn't finish
+ */
+async function analyzePdf(filePath, pageNumbers) {
+    const pdfData = await fs.readFile(filePath);
+    const pages = pageNumbers ? pagesParameter(pageNumbers) : undefined;
+
+    // Document Intelligence results are recorded alongside the chat completions so the whole
+    // split can be replayed offline
+    const pdfHash = sha256(pdfData);
+    const recordingKey = pages ? `ocr-${pdfHash}-${pages}` : `ocr-${pdfHash}`;
+    const recordResult = process.env.LLM_RECORD === 'true'
+        ? (result) => writeRecording(recordingKey, { filePath, modelId: docIntelligenceModelId, pages }, result)
+        : async () => {};
+
+    if (llmProviderName === 'replay') {
+        const recorded = await readRecording(recordingKey);
+        if (!recorded) {
+            throw new Error(`No recorded Document Intelligence result for ${filePath} (${recordingKey}).`);
+        }
+        return recorded;
+    }
 
-async function analyzePdf(filePath) {
-    if (cache[filePath]) {
+    // Keyed by the PDF bytes, so replacing a file at the same path is analyzed again
+    const key = documentAnalysisCacheKey(docIntelligenceModelId, docIntelligenceApiVersion, pdfHash, pages);
+    const cached = await getCached(key);
+    if (cached) {
         console.log("Using cached analysis result:");
-        return cache[filePath];
+        await recordResult(cached);
+        return cached;
     }
 
-    const pdfData = await fs.readFile(filePath);
-
-    try {
-        const response = await axios.post(
-            docIntelligenceUrl,
-            pdfData,
-            {
-                headers: {
-                    "Content-Type": "application/pdf",
-                    "Ocp-Apim-Subscription-Key": docIntelligenceApiKey,
-                },
-            }
-        );
-
-        if (response.status === 202) {
-            console.log("Analysis accepted. Polling for results...");
-            const operationLocation = response.headers["operation-location"];
-            
-            // Step 2: Poll for results
-            const result = await pollForResults(operationLocation);
+    const response = await request({
+        service: 'Document Intelligence',
+        method: 'post',
+        url: pages ? `${docIntelligenceUrl}&pages=${pages}` : docIntelligenceUrl,
+        data: pdfData,
+        headers: {
+            "Content-Type": "application/pdf",
+            "Ocp-Apim-Subscription-Key": docIntelligenceApiKey,
+        },
+    });
+    const operationLocation = response.headers["operation-location"];
+    if (response.status !== 202 || !operationLocation) {
+        throw new Error(`Document Intelligence did not accept ${filePath} for analysis (HTTP ${response.status}): ${JSON.stringify(response.data)}`);
+    }
 
-            // Cache the response data
-            cache[filePath] = result;
+    console.log("Analysis accepted. Polling for results...");
+    const result = await pollOperation({
+        service: 'Document Intelligence',
+        url: operationLocation,
+        headers: { "Ocp-Apim-Subscription-Key": docIntelligenceApiKey },
+        timeoutMs: pollTimeoutMs,
+    });
 
-            saveCache();
+    // Cache the response data
+    await setCached(key, result, { meta: { kind: 'document-intelligence', filePath, modelId: docIntelligenceModelId, pages } });
 
-            return result;
-        } else {
-            console.error("Unexpected response:", response.data);
-        }
+    await recordResult(result);
 
-    } catch (error) {
-        console.error("Error analyzing PDF:", error.response?.data || error.message);
-    }
+    return result;
 }
 
-async function pollForResults(operationLocation) {
-    const pollingInterval = 2000; // Poll every 2 seconds
-
-    while (true) {
-        try {
-            const response = await axios.get(operationLocation, {
-                headers: { "Ocp-Apim-Subscription-Key": docIntelligenceApiKey },
-            });
-
-            if (response.data.status === 'running') {
-                console.log("Still processing... Waiting to retry.");
-            } else if (response.data.status === 'succeeded') {
-                return response.data;
-            } else {
-                console.error("Unexpected response:", response.data);
-                break;
-            }
-        } catch (error) {
-            console.error("Error during polling:", error.response?.data || error.message);
-            break;
-        }
-
-        // Wait before polling again
-        await new Promise(resolve => setTimeout(resolve, pollingInterval));
+/**
+ * Read the text of every page of a PDF. Pages with an embedded text layer are read locally and
+ * only the scanned pages are sent to Document Intelligence.
+ * @param {string} filePath - The PDF
+ * @returns {Promise<Array<object>>} - Document Intelligence shaped pages, each with a source of
+ * 'text-layer' or 'ocr'
+ */
+export async function extractPages(filePath) {
+    const textLayer = forceOcr ? [] : await extractTextLayer(await fs.readFile(filePath));
+    const scannedPages = textLayer.filter(({ hasTextLayer }) => !hasTextLayer).map(({ pageNumber }) => pageNumber);
+
+    if (!forceOcr && scannedPages.length === 0) {
+        console.log(`Read all ${textLayer.length} pages from the text layer`);
+        return textLayer.map(({ hasTextLayer, ...page }) => ({ ...page, source: 'text-layer' }));
     }
 
-    return null;
-}
+    if (!forceOcr) {
+        console.log(`Read ${textLayer.length - scannedPages.length} of ${textLayer.length} pages from the text layer, sending pages ${pagesParameter(scannedPages)} to OCR`);
+    }
+    // OCR the whole file when it has no text layer at all, so the result is shared with earlier runs
+    const ocrAll = forceOcr || scannedPages.length === textLayer.length;
+    const result = await analyzePdf(filePath, ocrAll ? undefined : scannedPages);
+    if (!result?.analyzeResult) {
+        throw new Error(`Document Intelligence analysis failed for ${filePath}`);
+    }
 
-function readPage(page) {
-    return `Page ${page.pageNumber}: \n\n` + page.lines.map((line) => line.content).join('\n');
+    // Tables are kept with the page they start on, for the table-based transaction extractor
+    const tables = result.analyzeResult.tables ?? [];
+    const pageTables = (pageNumber) => tables
+        .filter(({ boundingRegions }) => boundingRegions?.[0]?.pageNumber === pageNumber)
+        .map(({ rowCount, columnCount, cells }) => ({
+            rowCount, columnCount,
+            cells: cells.map(({ kind, rowIndex, columnIndex, columnSpan, content }) => ({ kind, rowIndex, columnIndex, columnSpan, content })),
+        }));
+    const ocrPages = new Map(result.analyzeResult.pages.map((page) => [page.pageNumber, { ...page, source: 'ocr', tables: pageTables(page.pageNumber) }]));
+    if (ocrAll) {
+        return [...ocrPages.values()];
+    }
+    return textLayer.map(({ hasTextLayer, ...page }) =>
+        (hasTextLayer ? { ...page, source: 'text-layer' } : ocrPages.get(page.pageNumber) ?? { ...page, source: 'ocr' }));
 }
   
-async function analyzeAllPagesAndSplit(pages, outputDir) {
-    const pageAnalysisResults = [];
-    let lastPageSummary = null;
-    const usedFilenames = new Set();
-
+/**
+ * Analyze the pages of an application 10 at a time, each batch overlapping the last by a page.
+ * Each batch's analysis is saved in the job state as it completes, and batches saved by an
+ * interrupted run aren't analyzed again.
+ * @param {string[]} pages - The text of each page
+ * @param {string} outputDir - The output folder
+ * @param {object} job - The run's job state, from openJob
+ * @returns {Promise<Array<object>>} - The analysis of each page
+ */
+async function analyzeAllPages(pages, outputDir, job) {
+    await fs.rm(`${outputDir}/failed_batch.json`, { force: true });
+
+    const batches = [];
     for (let i = 0; i < pages.length; i += 9) {
         // Include the last page of the previous chunk as overlap
-        const currentBatch = pages.slice(i, i + 10);
+        batches.push({ start: i, pages: pages.slice(i, i + 10) });
+    }
+
+    const analyzeBatch = async ({ start, pages: currentBatch }, lastPageSummary, usedFilenames) => {
         const text = currentBatch.join("\n-------\n");
 
         const prompt = buildPdfExtractionPrompt(lastPageSummary, usedFilenames, text);
 
+        const firstPage = start + 1;
+        const lastPage = start + currentBatch.length;
+        const saved = job.savedBatch(firstPage, lastPage);
+        if (saved) {
+            console.log(`Using the saved analysis of pages ${firstPage}-${lastPage}`);
+            return saved;
+        }
+        // The first page of every batch after the first is the overlap, which is only there for context
+        const checkPages = (analysis) => {
+            const returned = new Set(analysis.map(({ pageNumber }) => pageNumber));
+            const missing = [];
+            for (let page = start === 0 ? firstPage : firstPage + 1; page <= lastPage; page++) {
+                if (!returned.has(page)) missing.push(page);
+            }
+            return missing.length > 0 ? [`pages ${missing.join(', ')} are missing from the response`] : [];
+        };
+
         try {
-            const response = await getGptResponse(prompt)
-            console.log("Response from GPT:", response);
-            const analysis = JSON.parse(response);
+            const analysis = await getValidatedJson(prompt, pageAnalysisSchema(firstPage, lastPage), { check: checkPages });
 
             console.log("Analysis results:", analysis);
+            await job.saveBatch(firstPage, lastPage, analysis);
+            return analysis;
+        } catch (error) {
+            // Splitting without this batch would silently leave its pages out of every document
+            const failure = { firstPage, lastPage, error: error.message, errors: error.errors, response: error.content };
+            await fs.writeFile(`${outputDir}/failed_batch.json`, JSON.stringify(failure, null, 2), 'utf8');
+            throw new Error(`Page analysis failed for pages ${firstPage}-${lastPage}, the PDF has not been split. Details are in ${outputDir}/failed_batch.json: ${error.response?.data ? JSON.stringify(error.response.data) : error.message}`);
+        }
+    };
+
+    const pageAnalysisResults = [];
+    if (concurrency === 1) {
+        // Each batch is given the last page and the filenames of the one before
+        let lastPageSummary = null;
+        const usedFilenames = new Set();
+        for (const batch of batches) {
+            const analysis = await analyzeBatch(batch, lastPageSummary, usedFilenames);
 
             // Add results and track used filenames
             pageAnalysisResults.push(...analysis);
@@ -128,38 +207,77 @@ async function analyzeAllPagesAndSplit(pages, outputDir) {
 
             // Update the last page summary
             lastPageSummary = analysis[analysis.length - 1];
-        } catch (error) {
-            console.error("Error analyzing pages:", error.response?.data || error.message);
-            break;
         }
+    } else {
+        const analyses = await mapWithConcurrency(batches, concurrency, (batch) => analyzeBatch(batch, null, new Set()));
+        pageAnalysisResults.push(...stitchBatches(analyses));
     }
 
-    // Split the PDF based on the analysis
-    const pdfBytes = await fs.readFile(inputFile);
-    const pdfDoc = await PDFLib.PDFDocument.load(pdfBytes);
-
-    const splitFiles = await splitPdf(pdfDoc, pages, pageAnalysisResults, outputDir);
-
-    // Generate a report from the analysis
-    const report = await generateReport(pageAnalysisResults);
+    return pageAnalysisResults;
+}
 
-    return { splitFiles, report };
+/**
+ * Join page analyses of batches analyzed in parallel, without the previous batch's last page and
+ * filenames. A batch's filename for its overlap page is replaced with the one the previous batch
+ * gave that page, so a document running across batches stays whole, and its other filenames are
+ * made unique among those of earlier batches.
+ * @param {Array<Array<object>>} analyses - The analysis of each batch, in order
+ * @returns {Array<object>}
+ */
+function stitchBatches(analyses) {
+    const results = [];
+    const usedFilenames = new Set();
+    for (const analysis of analyses) {
+        const renames = new Map();
+        const previous = results[results.length - 1];
+        const overlap = previous && analysis.find(({ pageNumber }) => pageNumber === previous.pageNumber);
+        if (overlap) {
+            renames.set(overlap.filename, previous.filename);
+        }
+        const stitched = analysis.map((result) => {
+            if (!renames.has(result.filename)) {
+                let filename = result.filename;
+                for (let n = 2; usedFilenames.has(filename); n++) {
+                    filename = result.filename.replace(/(\.pdf)?$/i, ` (${n})$1`);
+                }
+                renames.set(result.filename, filename);
+            }
+            return { ...result, filename: renames.get(result.filename) };
+        });
+        results.push(...stitched);
+        stitched.forEach(({ filename }) => usedFilenames.add(filename));
+    }
+    return results;
 }
 
-async function splitPdf(pdfDoc, textPages, analysisResults, outputDir) {
+/**
+ * Layout of a page for the document's _layout.json: its lines and their bounding polygons, so
+ * extracted transactions can be traced back to where they are printed, and any tables OCR found
+ */
+const pageLayout = ({ pageNumber, width, height, unit, source, lines = [], tables = [] }) =>
+    ({ pageNumber, width, height, unit, source, lines: lines.map(({ content, polygon }) => ({ content, polygon })), tables });
+
+/**
+ * Write the split PDFs, their text and layout, and manifest.json
+ * @param {object} options
+ * @param {object} options.integrity - From inspectApplication, for each document's risk flags;
+ * written to integrity.json with how each statement's running balance was checked
+ * @param {Array<object>} options.sourcePages - The input file and page of each page of the application
+ */
+async function splitPdf(pdfDoc, textPages, analysisResults, outputDir, layoutPages, { integrity, sourcePages } = {}) {
     const files = {};
     const metadata = {};
 
     for (const result of analysisResults) {
-        const { pageNumber, filename, category, summary } = result;
+        const { filename, category, summary, confidence, pageNumber } = result;
 
         if (!files[filename]) {
             files[filename] = [];
         }
-        files[filename].push(pageNumber);
+        files[filename].push(result);
 
         if (!metadata[filename]) {
-            metadata[filename] = {};
+            metadata[filename] = { categoryMismatches: [] };
         }
         if (!metadata[filename].category) {
             metadata[filename].category = category;
@@ -167,13 +285,26 @@ async function splitPdf(pdfDoc, textPages, analysisResults, outputDir) {
         else {
             if (metadata[filename].category !== category) {
                 console.error(`Category mismatch for ${filename}: ${metadata[filename].category} vs ${category}`);
+                metadata[filename].categoryMismatches.push({ pageNumber, category });
             }
         }
+        // A document is only as certain as its least certain page
+        metadata[filename].confidence = Math.min(metadata[filename].confidence ?? confidence, confidence);
         if (!metadata[filename].summary) {
             metadata[filename].summary = summary;
         }
     }
 
+    // Use the stated page numbering to order each document's pages and flag gaps
+    for (const [filename, pageResults] of Object.entries(files)) {
+        const { pages, issues } = validateDocumentPages(pageResults);
+        files[filename] = pages;
+        metadata[filename].pageNumberingIssues = issues;
+        for (const issue of issues) {
+            console.warn(`Page numbering issue in ${filename}: ${issue.message}`);
+        }
+    }
+
     let textComplete = "";
 
     // Create new PDFs based on the analysis
@@ -181,6 +312,7 @@ async function splitPdf(pdfDoc, textPages, analysisResults, outputDir) {
     for (const [filename, pages] of Object.entries(files)) {
         const newPdfDoc = await PDFLib.PDFDocument.create();
         const textContent = [];
+        const layout = [];
         for (const page of pages) {
             const [copiedPage] = await newPdfDoc.copyPages(pdfDoc, [page - 1]);
             newPdfDoc.addPage(copiedPage);
@@ -189,6 +321,10 @@ async function splitPdf(pdfDoc, textPages, analysisResults, outputDir) {
             textContent.push(`${textPages[page - 1]}`);
 
             textComplete += `${textPages[page - 1]}\n\n`;
+
+            if (layoutPages?.[page - 1]) {
+                layout.push(pageLayout(layoutPages[page - 1]));
+            }
         }
         const pdfBytes = await newPdfDoc.save();
         const outputPath = `${outputDir}/${filename}`;
@@ -196,8 +332,13 @@ async function splitPdf(pdfDoc, textPages, analysisResults, outputDir) {
         createdFiles.push({ filename, outputPath, pages });
 
         // Write the plain text file
-        const textFilePath = `${outputDir}/${filename.replace('.pdf', '_raw_ocr.txt')}`;
+        const textFilePath = `${outputDir}/${filename.replace(/\.pdf$/i, '_raw_ocr.txt')}`;
         await fs.writeFile(textFilePath, textContent.join('\n\n'), 'utf8');        
+
+        // Pages are listed in the order they appear in the split PDF
+        if (layoutPages) {
+            await fs.writeFile(`${outputDir}/${filename.replace(/\.pdf$/i, '_layout.json')}`, JSON.stringify(layout), 'utf8');
+        }
     }
 
     const completeTextFilePath = `${outputDir}/complete_raw_ocr.txt`;
@@ -205,28 +346,160 @@ async function splitPdf(pdfDoc, textPages, analysisResults, outputDir) {
 
     // Create a manifest of all files, pulling from metadata
 
-    const manifest = Object.entries(metadata).map(([filename, { category, summary }]) => ({ filename, category, summary }));
+    const manifest = [];
+    const checkedDocuments = [];
+    for (const [filename, { category, summary, confidence, categoryMismatches, pageNumberingIssues }] of Object.entries(metadata)) {
+        const { flags: riskFlags, runningBalance } = integrity
+            ? await documentRiskFlags({ category, pages: files[filename] }, integrity, layoutPages)
+            : { flags: [], runningBalance: null };
+        if (runningBalance) {
+            checkedDocuments.push({ filename, runningBalance });
+        }
+        for (const { message } of riskFlags.filter(({ severity }) => severity !== 'low')) {
+            console.warn(`Risk flag for ${filename}: ${message}`);
+        }
+        manifest.push({
+            filename,
+            category,
+            summary,
+            confidence,
+            pages: files[filename],
+            categoryMismatches,
+            pageNumberingIssues,
+            sources: sourcePages ? files[filename].map((page) => sourcePages[page - 1]).filter(Boolean) : [],
+            riskFlags,
+        });
+    }
     const manifestFilePath = `${outputDir}/manifest.json`;
     await fs.writeFile(manifestFilePath, JSON.stringify(manifest, null, 2), 'utf8');
+    if (integrity) {
+        // Whether each statement's running balance was checked is recorded with the inspection
+        await fs.writeFile(`${outputDir}/integrity.json`, JSON.stringify({ ...integrity, documents: checkedDocuments }, null, 2), 'utf8');
+    }
 
     return createdFiles;
 }
 
-async function generateReport(analysisResults) {
-    const prompt = buildHtmlReportPrompt(analysisResults);
-
-    const response = await getGptResponse(prompt);
-    return response;
+/**
+ * The input files of a split and where each page came from. A split from before files were
+ * combined had the one PDF.
+ * @returns {Promise<{ sources: Array<object>, pages: Array<object> }>}
+ */
+async function splitSources(outputFolder, pdfPath, pageCount) {
+    const saved = await loadSources(outputFolder);
+    if (saved) return saved;
+    const file = path.basename(pdfPath);
+    const pages = Array.from({ length: pageCount }, (_, index) => index + 1);
+    return {
+        sources: [{ file, path: path.resolve(pdfPath), type: 'pdf', pages }],
+        pages: pages.map((pageNumber) => ({ pageNumber, file, page: pageNumber })),
+    };
 }
 
-const result = await analyzePdf(inputFile);
-
-const pages = result.analyzeResult.pages.map(readPage); // Extract text for all pages
-const analysisResults = await analyzeAllPagesAndSplit(pages, outputFolder);
+/**
+ * Split an application into its documents, writing the split PDFs, their text, manifest.json and
+ * report.html to the output folder. An application of several files, PDFs and photos, is first
+ * combined into one PDF. The intake, OCR, page analysis and split are recorded as stages of the
+ * run's job state.
+ * @param {string|string[]} inputs - The application PDF, or its files and folders of files
+ * @param {string} outputFolder - The output folder, created if it doesn't exist
+ * @param {object} options
+ * @param {object} options.job - The run's job state, from openJob; a new run if not given
+ * @param {boolean} options.secondOpinion - Categorise the pages queued for review again, on their own
+ * @returns {Promise<Array<object>>} - The split files
+ */
+export async function splitApplication(inputs, outputFolder, { job, secondOpinion = false } = {}) {
+    await fs.mkdir(outputFolder, { recursive: true });
+    const files = await listInputs(inputs);
+    job ??= await openJob(outputFolder, { input: files });
+
+    // Files that can't be read are reported in sources.json and left out
+    const { pdf: inputFile } = await job.run('intake', async () => {
+        const { pdf, sources, pages } = await assembleApplication(files, outputFolder);
+        return { pdf, pages: pages.length, unreadable: sources.filter(({ error }) => error).map(({ file }) => file) };
+    });
+
+    // The pages are saved so a resumed run doesn't read them again
+    const ocrPagesPath = `${outputFolder}/ocr_pages.json`;
+    await job.run('ocr', async () => {
+        const extracted = await extractPages(inputFile);
+        await fs.writeFile(ocrPagesPath, JSON.stringify(extracted), 'utf8');
+        return { pages: extracted.length };
+    });
+    const layoutPages = JSON.parse(await fs.readFile(ocrPagesPath, 'utf8'));
+    const pages = layoutPages.map(readPage); // Extract text for all pages
+
+    const analysis = await job.run('page-analysis', () => analyzeAllPages(pages, outputFolder, job));
+
+    return job.run('split', async () => {
+        // Kept so the split can be corrected and redone without analyzing the pages again
+        const saved = { source: path.resolve(inputFile), pages: layoutPages.map(pageLayout), analysis };
+        await fs.writeFile(`${outputFolder}/page_analysis.json`, JSON.stringify(saved), 'utf8');
+
+        // Split the PDF based on the analysis
+        const pdfBytes = await fs.readFile(inputFile);
+        const pdfDoc = await PDFLib.PDFDocument.load(pdfBytes);
+        const { sources, pages: sourcePages } = await splitSources(outputFolder, inputFile, pdfDoc.getPageCount());
+        const integrity = await inspectApplication(pdfBytes, sources);
+        const splitFiles = await splitPdf(pdfDoc, pages, analysis, outputFolder, layoutPages, { integrity, sourcePages });
+
+        await generateReport(outputFolder);
+        await writeReviewQueue(outputFolder, analysis, pages, { secondOpinion });
+
+        return splitFiles;
+    });
+}
 
-// Write analysisResults.report to a file
+/**
+ * Read the page analysis saved by the split
+ * @param {string} outputFolder - The output folder of a split
+ * @returns {Promise<{ source: string, pages: Array<object>, analysis: Array<object> }>} - The application PDF, the
+ * layout of its pages and the analysis of each page
+ */
+export async function loadPageAnalysis(outputFolder) {
+    return JSON.parse(await fs.readFile(`${outputFolder}/page_analysis.json`, 'utf8'));
+}
 
-const reportFilePath = `${outputFolder}/report.html`;
-await fs.writeFile(reportFilePath, analysisResults.report, 'utf8');
+/**
+ * Split an application again from corrected page analysis, without any model calls other than
+ * second opinions not already cached. The split PDFs, text and layout files of the previous split
+ * are replaced, and manifest.json, report.html and review_queue.json are written again.
+ * @param {string} outputFolder - The output folder of a split
+ * @param {Array<object>} analysis - The analysis of each page, as saved in page_analysis.json
+ * @returns {Promise<Array<object>>} - The split files
+ */
+export async function resplitApplication(outputFolder, analysis) {
+    const saved = await loadPageAnalysis(outputFolder);
+    const pdfBytes = await fs.readFile(saved.source);
+    const pdfDoc = await PDFLib.PDFDocument.load(pdfBytes);
 
+    let previous = [];
+    try {
+        previous = JSON.parse(await fs.readFile(`${outputFolder}/manifest.json`, 'utf8'));
+    } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+    }
+    for (const { filename } of previous) {
+        for (const file of [filename, filename.replace(/\.pdf$/i, '_raw_ocr.txt'), filename.replace(/\.pdf$/i, '_layout.json')]) {
+            await fs.rm(`${outputFolder}/${file}`, { force: true });
+        }
+    }
 
+    await fs.writeFile(`${outputFolder}/page_analysis.json`, JSON.stringify({ ...saved, analysis }), 'utf8');
+    const pages = saved.pages.map(readPage);
+    const { sources, pages: sourcePages } = await splitSources(outputFolder, saved.source, pdfDoc.getPageCount());
+    const integrity = await inspectApplication(pdfBytes, sources);
+    const splitFiles = await splitPdf(pdfDoc, pages, analysis, outputFolder, saved.pages, { integrity, sourcePages });
+    await generateReport(outputFolder);
+    // Pages corrected in review leave the queue; second opinions on the others come from the cache
+    const queue = await loadReviewQueue(outputFolder);
+    await writeReviewQueue(outputFolder, analysis, pages, { secondOpinion: queue?.secondOpinion ?? false });
+
+    // The corrected analysis replaces the model's, and the stages after the split are out of
+    // date until they are run again. The job is the application's files, not the PDF combined from them.
+    const job = await openJob(outputFolder, { input: sources.map(({ path: filePath }) => filePath), resume: true });
+    await job.complete('page-analysis', analysis);
+    await job.complete('split', splitFiles);
+
+    return splitFiles;
+}
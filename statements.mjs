@@ -0,0 +1,96 @@
+import fs from 'fs/promises';
+import { parse } from 'csv-parse/sync';
+import { createObjectCsvWriter } from 'csv-writer';
+
+export const isStatementCategory = (category) =>
+    category?.toLowerCase().includes('bank') || category?.toLowerCase().includes('credit card');
+
+/**
+ * Identify the account a statement is for from its bank and account number. Statements without
+ * an account number are treated as an account of their own.
+ * @param {object} statement - An entry of statements.json
+ * @returns {{ key: string, label: string }}
+ */
+export function statementAccount(statement) {
+    const digits = String(statement.accountNumber ?? '').replace(/\D/g, '');
+    if (!digits) {
+        return { key: statement.document, label: `the account in ${statement.document}` };
+    }
+    return {
+        key: `${(statement.bankName ?? '').toLowerCase()}|${digits}`,
+        label: `${statement.bankName ?? 'the'} account ${String(statement.accountNumber).trim()}`,
+    };
+}
+
+// Columns of the statement CSVs, by the field they hold
+export const csvColumns = [
+    { id: 'Date', title: 'Date' },
+    { id: 'TransactionDetail', title: 'Transaction Detail' },
+    { id: 'Income', title: 'Income' },
+    { id: 'Expenditure', title: 'Expenditure' },
+    { id: 'Amount', title: 'Amount' },
+    { id: 'Filename', title: 'File name' },
+    { id: 'Category', title: 'Category' },
+    { id: 'Account', title: 'Account' },
+    // Where the transaction is printed: the split PDF, the page of the application and of the
+    // split PDF, and the line's bounding box as left,top,right,bottom in the page's unit
+    { id: 'Document', title: 'Document' },
+    { id: 'SourcePage', title: 'Source page' },
+    { id: 'DocumentPage', title: 'Document page' },
+    { id: 'BoundingBox', title: 'Bounding box' },
+];
+
+export const writeCsv = async (data, outputPath, columns = csvColumns) => {
+    const csvWriter = createObjectCsvWriter({
+        path: outputPath,
+        header: columns,
+        alwaysQuote: true,
+    });
+
+    await csvWriter.writeRecords(data);
+};
+
+/**
+ * Read a CSV written by writeCsv back into rows
+ * @param {string} inputPath - The CSV file
+ * @returns {Promise<Array<object>>} - Rows keyed by field, as passed to writeCsv
+ */
+export const readCsv = async (inputPath) => {
+    const records = parse(await fs.readFile(inputPath, 'utf8'), { columns: true, skip_empty_lines: true });
+    return records.map((record) => Object.fromEntries(csvColumns.map(({ id, title }) => [id, record[title] ?? ''])));
+};
+
+function parseCsvLine(line) {
+    // Parse the line with csv-parse
+    const records = parse(line.replace(/\s*(?=")|(?<=,)\s*/g, ''), {
+        columns: false,
+        skip_empty_lines: true,
+    });
+
+    // Return the parsed fields as an array
+    return records[0];
+}
+
+/**
+ * Parse the transaction CSV returned by the model, keeping the rows marked Skip
+ * @param {string} csv - CSV with headers: Date, Transaction Detail, Income, Expenditure, Skip
+ * @param {string} file - Source file name recorded against each row
+ * @returns {Array<object>} - Rows with Date, TransactionDetail, Income, Expenditure, Skip and Filename
+ */
+export function parseStatementCsv(csv, file) {
+    // Extract header row and skip it in the data processing
+    const [, ...dataRows] = csv?.split('\n') ?? [];
+
+    return dataRows.map((line) => {
+        if (!line.trim()) return null; // Skip empty lines
+
+        const [TransactionDate, TransactionDetail, Income, Expenditure, Skip] = parseCsvLine(line.replace(', "', ',"')); // Remove space after comma
+
+        return {
+            Date: TransactionDate,
+            Filename: file,
+            TransactionDetail, Income, Expenditure,
+            Skip: Skip === 'true', // Transfers and opening/closing balance rows
+        };
+    }).filter(Boolean); // Remove null entries
+}
@@ -0,0 +1,257 @@
+import { buildTableHeaderPrompt, buildTransferPrompt } from './prompts.mjs';
+import { tableHeaderMappingSchema, transferSchema } from './schemas.mjs';
+import { getValidatedJson, InvalidResponseError } from './util.mjs';
+import { isBalanceRow } from './reconcile.mjs';
+import { parseStatementAmount, signedAmount } from './normalise.mjs';
+
+// Column headers used by NZ banks and card issuers, by the transaction field they hold
+const headerAliases = {
+    date: ['date', 'transaction date', 'trans date', 'date of transaction', 'processed', 'processed date', 'date processed', 'posted', 'posting date', 'value date'],
+    detail: ['particulars', 'description', 'details', 'transaction details', 'transaction', 'transactions', 'narrative', 'payee', 'other party', 'code', 'reference', 'ref', 'type', 'transaction type', 'memo'],
+    income: ['deposits', 'deposit', 'credit', 'credits', 'money in', 'paid in', 'amount in', 'credit amount', 'deposits ($)', 'credits ($)'],
+    expenditure: ['withdrawals', 'withdrawal', 'debit', 'debits', 'money out', 'paid out', 'amount out', 'payments', 'debit amount', 'withdrawals ($)', 'debits ($)'],
+    amount: ['amount', 'amount ($)', 'transaction amount', 'nzd amount', 'amount nzd'],
+    balance: ['balance', 'balance ($)', 'running balance', 'closing balance'],
+};
+
+const transferBatchSize = 40;
+
+const normaliseHeader = (header) => String(header ?? '').toLowerCase().replace(/\s+/g, ' ').replace(/[:*]/g, '').trim();
+
+const headerField = (header) => {
+    const name = normaliseHeader(header);
+    return Object.keys(headerAliases).find((key) => headerAliases[key].includes(name));
+};
+
+/**
+ * Lay out a Document Intelligence table as rows of cell text
+ * @param {object} table - A table from analyzeResult.tables
+ * @returns {{ headers: string[]|null, rows: Array<string[]> }} - The column headers, if the table has any, and the other rows
+ */
+export function tableGrid({ rowCount, columnCount, cells }) {
+    const grid = Array.from({ length: rowCount }, () => Array(columnCount).fill(''));
+    const headerRows = new Set();
+    for (const { kind, rowIndex, columnIndex, content } of cells) {
+        grid[rowIndex][columnIndex] = String(content ?? '').trim();
+        if (kind === 'columnHeader') headerRows.add(rowIndex);
+    }
+    if (headerRows.size === 0) {
+        return { headers: null, rows: grid };
+    }
+    // Headers over more than one row are read as one
+    const headers = Array.from({ length: columnCount }, (_, column) =>
+        [...headerRows].sort((a, b) => a - b).map((row) => grid[row][column]).filter(Boolean).join(' '));
+    return { headers, rows: grid.filter((_, index) => !headerRows.has(index)) };
+}
+
+/**
+ * Map column headers to transaction fields from the headers banks commonly use
+ * @param {string[]} headers
+ * @returns {object|null} - The column of date, income, expenditure, amount and balance, and the
+ * columns of detail; null if there are no date, detail and amount columns
+ */
+export function mapHeaders(headers) {
+    const mapping = { date: null, detail: [], income: null, expenditure: null, amount: null, balance: null };
+    headers.forEach((header, column) => {
+        const field = headerField(header);
+        if (field === 'detail') {
+            mapping.detail.push(column);
+        } else if (field && mapping[field] === null) {
+            mapping[field] = column;
+        }
+    });
+    return isUsableMapping(mapping) ? mapping : null;
+}
+
+const isUsableMapping = (mapping) =>
+    mapping.date !== null && mapping.detail?.length > 0 &&
+    (mapping.amount !== null || mapping.income !== null || mapping.expenditure !== null);
+
+/**
+ * Ask the model which columns hold which fields, for headers that aren't recognised
+ * @returns {Promise<object|null>} - The mapping, or null if the model found no usable one
+ */
+async function mapHeadersWithModel(headers, rows) {
+    try {
+        const mapping = await getValidatedJson(
+            buildTableHeaderPrompt(headers, rows.slice(0, 5)),
+            tableHeaderMappingSchema(headers.length),
+            { maxTokens: 300 }
+        );
+        mapping.detail = mapping.detail ?? [];
+        return isUsableMapping(mapping) ? mapping : null;
+    } catch (error) {
+        if (!(error instanceof InvalidResponseError)) throw error;
+        return null;
+    }
+}
+
+const amountText = (value) => {
+    const parsed = parseStatementAmount(value);
+    return parsed.error || parsed.amount === null ? '' : value;
+};
+
+/**
+ * Read the transactions from a table whose columns have been mapped. A row with no date takes
+ * the date of the row above, as statements often print the date once a day, and a row with
+ * neither a date nor an amount continues the description of the row above. Balance rows are left out.
+ */
+function readTransactions(rows, mapping, file) {
+    const transactions = [];
+    let date = '';
+    for (const row of rows) {
+        const cell = (column) => (column === null || column === undefined ? '' : row[column] ?? '');
+        const detail = mapping.detail.map(cell).filter(Boolean).join(' ');
+        const income = amountText(cell(mapping.income));
+        const expenditure = amountText(cell(mapping.expenditure));
+        const amount = amountText(cell(mapping.amount));
+
+        // Opening, closing and brought forward balances aren't transactions
+        if (isBalanceRow({ TransactionDetail: detail })) continue;
+
+        if (!cell(mapping.date) && !income && !expenditure && !amount) {
+            const previous = transactions[transactions.length - 1];
+            if (previous && detail) previous.TransactionDetail = `${previous.TransactionDetail} ${detail}`;
+            continue;
+        }
+        date = cell(mapping.date) || date;
+
+        // A single amount column is signed, negative for money out however it is written, such
+        // as "-50.00", "(50.00)", "50.00-" or "50.00 DR"
+        const moneyIn = amount ? signedAmount(parseStatementAmount(amount), 1) : null;
+        const transaction = {
+            Date: date,
+            Filename: file,
+            TransactionDetail: detail,
+            Income: moneyIn === null ? income : moneyIn >= 0 ? moneyIn.toFixed(2) : '',
+            Expenditure: moneyIn === null ? expenditure : moneyIn < 0 ? Math.abs(moneyIn).toFixed(2) : '',
+            Skip: false,
+        };
+        transactions.push(transaction);
+    }
+    return transactions;
+}
+
+/**
+ * Ask the model which transactions are transfers or credit card repayments, in batches, and mark
+ * them Skip as the statement extraction prompt would. A batch the model can't answer is left
+ * unmarked and reported.
+ */
+async function markTransfers(transactions) {
+    for (let i = 0; i < transactions.length; i += transferBatchSize) {
+        const batch = transactions.slice(i, i + transferBatchSize);
+        try {
+            const { skip } = await getValidatedJson(
+                buildTransferPrompt(batch.map((row, index) => ({ index, date: row.Date, detail: row.TransactionDetail, income: row.Income, expenditure: row.Expenditure }))),
+                transferSchema(batch.length),
+                { maxTokens: 500 }
+            );
+            for (const index of skip) {
+                batch[index].Skip = true;
+            }
+        } catch (error) {
+            if (!(error instanceof InvalidResponseError)) throw error;
+            console.error(`Could not find the transfers among transactions ${i + 1}-${i + batch.length}, none are skipped: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * The transaction tables on a statement's pages, with their columns mapped. Columns are mapped
+ * from their headers; the model is only asked when some of a table's headers are recognised but
+ * not enough to map it, and askModel is set. A table without headers, such as one continued from
+ * the previous page, uses the previous table's mapping if it has as many columns.
+ * @param {Array<object>} layout - The statement's pages
+ * @param {object} options
+ * @param {boolean} options.askModel - Ask the model about headers that aren't recognised
+ * @returns {Promise<Array<{ pageNumber: number, rows: Array<string[]>, mapping: object }>>}
+ */
+async function mapTables(layout, { askModel = true } = {}) {
+    const tables = [];
+    let previous = null;
+    for (const page of layout) {
+        for (const table of page.tables ?? []) {
+            let { headers, rows } = tableGrid(table);
+            // Tables are sometimes found without their header row marked as one
+            if (!headers && rows.length > 0 && mapHeaders(rows[0])) {
+                [headers, ...rows] = rows;
+            }
+            let mapping = headers ? mapHeaders(headers) : null;
+            // Only tables with some recognised headers are worth asking about
+            if (!mapping && askModel && headers?.some(headerField)) {
+                mapping = await mapHeadersWithModel(headers, rows);
+            }
+            if (!mapping && previous && previous.columnCount === table.columnCount) {
+                mapping = previous.mapping;
+            }
+            if (!mapping) continue; // Not a transaction table, e.g. an account summary
+
+            previous = { mapping, columnCount: table.columnCount };
+            tables.push({ pageNumber: page.pageNumber, rows, mapping });
+        }
+    }
+    return tables;
+}
+
+/**
+ * Read a statement's transactions from the tables Document Intelligence found on its pages. The
+ * model is asked which are transfers, to mark them Skip.
+ * @param {Array<object>} layout - The statement's pages, from its _layout.json or extractPages
+ * @param {string} file - Source file name recorded against each row
+ * @returns {Promise<Array<object>|null>} - Rows in the form parseStatementCsv returns, or null when
+ * the statement has pages that weren't OCRed or no table with transactions
+ */
+export async function extractTableTransactions(layout, file) {
+    // Pages read from the PDF's text layer have no tables, and their transactions would be missed
+    if (!layout?.length || layout.some(({ source }) => source === 'text-layer')) {
+        return null;
+    }
+
+    const transactions = [];
+    for (const { rows, mapping } of await mapTables(layout)) {
+        transactions.push(...readTransactions(rows, mapping, file));
+    }
+    if (transactions.length === 0) return null;
+    await markTransfers(transactions);
+    return transactions;
+}
+
+/**
+ * Read the printed balance of each row of a statement's transaction tables that have a balance
+ * column, with the row's signed amount. Opening and closing balance rows are included with no
+ * amount. Only tables whose headers are recognised are read; the model isn't asked.
+ * @param {Array<object>} layout - The statement's pages
+ * @returns {Promise<Array<{ pageNumber: number, date: string, detail: string, amount: number, balance: number|null }>>}
+ */
+export async function extractTableBalances(layout) {
+    const balances = [];
+    for (const { pageNumber, rows, mapping } of await mapTables(layout ?? [], { askModel: false })) {
+        if (mapping.balance === null || mapping.balance === undefined) continue;
+        for (const row of rows) {
+            const cell = (column) => (column === null || column === undefined ? '' : row[column] ?? '');
+            const value = (column) => {
+                const parsed = parseStatementAmount(cell(column));
+                return parsed.error || parsed.amount === null ? null : parsed;
+            };
+            const balance = value(mapping.balance);
+            const amount = value(mapping.amount);
+            const income = value(mapping.income);
+            const expenditure = value(mapping.expenditure);
+            if (!balance && !amount && !income && !expenditure) continue;
+
+            // Money out is negative, as marked in a single amount column or by its column
+            let signed = 0;
+            if (amount) signed = amount.marker === 'DR' ? -Math.abs(amount.amount) : amount.amount;
+            if (income) signed += Math.abs(income.amount);
+            if (expenditure) signed -= Math.abs(expenditure.amount);
+            balances.push({
+                pageNumber,
+                date: cell(mapping.date),
+                detail: mapping.detail.map(cell).filter(Boolean).join(' '),
+                amount: signed,
+                balance: balance ? (balance.marker === 'DR' ? -Math.abs(balance.amount) : balance.amount) : null,
+            });
+        }
+    }
+    return balances;
+}
@@ -0,0 +1,91 @@
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { after, before, beforeEach, describe, test } from 'node:test';
+
+// The client reads its settings when it is imported
+process.env.HTTP_CONCURRENCY = '2';
+process.env.HTTP_MAX_RETRIES = '2';
+process.env.HTTP_RETRY_BASE_MS = '50';
+process.env.HTTP_RETRY_MAX_MS = '2000';
+const { HttpError, request } = await import('../http-client.mjs');
+
+/**
+ * A local server that answers each request with the next of a list of responses, the last
+ * repeated, and records when requests arrive and how many are in flight at once
+ */
+function stubServer() {
+    const stub = { responses: [], received: [], inFlight: 0, maxInFlight: 0, delayMs: 0 };
+    stub.server = http.createServer((req, res) => {
+        stub.received.push(Date.now());
+        stub.inFlight++;
+        stub.maxInFlight = Math.max(stub.maxInFlight, stub.inFlight);
+        const { status, headers = {}, body = {} } = stub.responses[Math.min(stub.received.length - 1, stub.responses.length - 1)];
+        setTimeout(() => {
+            stub.inFlight--;
+            res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+            res.end(JSON.stringify(body));
+        }, stub.delayMs);
+    });
+    return stub;
+}
+
+describe('request', () => {
+    const stub = stubServer();
+    let url;
+
+    before(async () => {
+        await new Promise((resolve) => stub.server.listen(0, '127.0.0.1', resolve));
+        url = `http://127.0.0.1:${stub.server.address().port}/`;
+    });
+    after(() => new Promise((resolve) => stub.server.close(resolve)));
+    beforeEach(() => {
+        stub.received = [];
+        stub.maxInFlight = 0;
+        stub.delayMs = 0;
+    });
+
+    test('waits as long as Retry-After asks before trying a throttled request again', async () => {
+        stub.responses = [{ status: 429, headers: { 'Retry-After': '1' } }, { status: 200, body: { ok: true } }];
+        const response = await request({ service: 'stub', url });
+        assert.deepEqual(response.data, { ok: true });
+        assert.equal(stub.received.length, 2);
+        assert.ok(stub.received[1] - stub.received[0] >= 950, `retried after ${stub.received[1] - stub.received[0]}ms`);
+    });
+
+    test('backs off exponentially on server errors', async () => {
+        stub.responses = [{ status: 503 }, { status: 503 }, { status: 200, body: { ok: true } }];
+        const response = await request({ service: 'stub', url });
+        assert.equal(response.status, 200);
+        assert.equal(stub.received.length, 3);
+        // 50ms and then 100ms, each with up to a quarter either way of jitter
+        const [first, second] = [stub.received[1] - stub.received[0], stub.received[2] - stub.received[1]];
+        assert.ok(first >= 35, `first retry after ${first}ms`);
+        assert.ok(second >= 75 && second > first, `second retry after ${second}ms`);
+    });
+
+    test('gives up after the last retry with the status and number of attempts', async () => {
+        stub.responses = [{ status: 503, body: { error: 'busy' } }];
+        await assert.rejects(request({ service: 'stub', url }), (error) => {
+            assert.ok(error instanceof HttpError);
+            assert.equal(error.status, 503);
+            assert.equal(error.attempts, 3);
+            assert.deepEqual(error.response.data, { error: 'busy' });
+            return true;
+        });
+        assert.equal(stub.received.length, 3);
+    });
+
+    test('does not retry errors that are not worth trying again', async () => {
+        stub.responses = [{ status: 400, body: { error: 'bad request' } }];
+        await assert.rejects(request({ service: 'stub', url }), (error) => error instanceof HttpError && error.attempts === 1);
+        assert.equal(stub.received.length, 1);
+    });
+
+    test('has at most HTTP_CONCURRENCY requests to a service in flight', async () => {
+        stub.responses = [{ status: 200 }];
+        stub.delayMs = 50;
+        await Promise.all(Array.from({ length: 6 }, () => request({ service: 'limited', url })));
+        assert.equal(stub.received.length, 6);
+        assert.equal(stub.maxInFlight, 2);
+    });
+});
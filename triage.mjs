@@ -0,0 +1,138 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { buildPageClassificationPrompt } from './prompts.mjs';
+import { pageClassificationSchema } from './schemas.mjs';
+import { getValidatedJson, InvalidResponseError } from './util.mjs';
+import { lowConfidenceThreshold } from './report.mjs';
+import { concurrency, mapWithConcurrency } from './http-client.mjs';
+
+// Pages categorised with less confidence than this are queued for review
+const reviewThreshold = Number(process.env.REVIEW_CONFIDENCE_THRESHOLD || lowConfidenceThreshold);
+
+const queueFile = 'review_queue.json';
+
+// The analysis of each page; where a page was analyzed twice the first is used, as in the split
+const analysisByPage = (analysis) => {
+    const byPage = new Map();
+    for (const result of analysis) {
+        if (!byPage.has(result.pageNumber)) byPage.set(result.pageNumber, result);
+    }
+    return byPage;
+};
+
+/**
+ * The pages of a split an assessor should look at: those categorised with low confidence, and
+ * those whose category differs from their document's. A document's category is its first page's,
+ * as in the split. Pages already corrected in review are left out.
+ * @param {Array<object>} analysis - The page analysis
+ * @returns {Array<object>} - pageNumber, filename, category, confidence, documentCategory and the
+ * reasons each page is queued, in page order
+ */
+export function buildReviewQueue(analysis) {
+    const byPage = analysisByPage(analysis);
+    const documentCategories = new Map();
+    for (const { filename, category } of analysis) {
+        if (!documentCategories.has(filename)) documentCategories.set(filename, category);
+    }
+
+    const queue = [];
+    for (const result of [...byPage.values()].sort((a, b) => a.pageNumber - b.pageNumber)) {
+        if (result.reviewed) continue;
+        const documentCategory = documentCategories.get(result.filename);
+        const reasons = [];
+        if (result.confidence < reviewThreshold) {
+            reasons.push('low-confidence');
+        }
+        if (result.category !== documentCategory) {
+            reasons.push('category-mismatch');
+        }
+        if (reasons.length > 0) {
+            const { pageNumber, filename, category, confidence, summary } = result;
+            queue.push({ pageNumber, filename, category, confidence, documentCategory, summary, reasons });
+        }
+    }
+    return queue;
+}
+
+// Whether the split starts a document on each page: its first page, or one in a different file from the page before
+const documentStarts = (analysis) => {
+    const starts = new Map();
+    const byPage = analysisByPage(analysis);
+    for (const [pageNumber, { filename }] of byPage) {
+        starts.set(pageNumber, byPage.get(pageNumber - 1)?.filename !== filename);
+    }
+    return starts;
+};
+
+/**
+ * Categorise each queued page again, on its own with the pages either side of it, and note where
+ * the second opinion disagrees with the split on the category or on whether the page starts a
+ * new document
+ * @param {Array<object>} queue - From buildReviewQueue
+ * @param {Array<object>} analysis - The page analysis
+ * @param {string[]} pageTexts - The text of every page of the application, in order
+ * @returns {Promise<Array<object>>} - The queue with secondOpinion and disagreements added to each page
+ */
+export async function addSecondOpinions(queue, analysis, pageTexts) {
+    const starts = documentStarts(analysis);
+    return mapWithConcurrency(queue, concurrency, async (entry) => {
+        const { pageNumber } = entry;
+        let secondOpinion;
+        try {
+            secondOpinion = await getValidatedJson(
+                buildPageClassificationPrompt(pageTexts[pageNumber - 1], { previous: pageTexts[pageNumber - 2], next: pageTexts[pageNumber] }),
+                pageClassificationSchema(),
+                { maxTokens: 500 }
+            );
+        } catch (error) {
+            if (!(error instanceof InvalidResponseError)) throw error;
+            console.warn(`No second opinion for page ${pageNumber}: ${error.message}`);
+            return { ...entry, secondOpinion: null, disagreements: [] };
+        }
+
+        const disagreements = [];
+        if (secondOpinion.category !== entry.category) {
+            disagreements.push({ field: 'category', split: entry.category, secondOpinion: secondOpinion.category });
+        }
+        if (secondOpinion.startsNewDocument !== starts.get(pageNumber)) {
+            disagreements.push({ field: 'startsNewDocument', split: starts.get(pageNumber), secondOpinion: secondOpinion.startsNewDocument });
+        }
+        return { ...entry, secondOpinion, disagreements };
+    });
+}
+
+/**
+ * Write review_queue.json for a split, asking for a second opinion on each queued page if set
+ * @param {string} folder - The output folder of the split
+ * @param {Array<object>} analysis - The page analysis
+ * @param {string[]} pageTexts - The text of every page of the application
+ * @param {object} options
+ * @param {boolean} options.secondOpinion - Categorise the queued pages again
+ * @returns {Promise<object>} - The queue as written
+ */
+export async function writeReviewQueue(folder, analysis, pageTexts, { secondOpinion = false } = {}) {
+    let pages = buildReviewQueue(analysis);
+    if (secondOpinion) {
+        pages = await addSecondOpinions(pages, analysis, pageTexts);
+    }
+    const disagreements = pages.filter((page) => page.disagreements?.length > 0).length;
+    const queue = { threshold: reviewThreshold, secondOpinion, pages, disagreements };
+    await fs.writeFile(path.join(folder, queueFile), JSON.stringify(queue, null, 2), 'utf8');
+
+    console.log(`${pages.length} pages queued for review${secondOpinion ? `, ${disagreements} where the second opinion disagrees` : ''}`);
+    return queue;
+}
+
+/**
+ * Read the review queue of a split
+ * @param {string} folder - The output folder of the split
+ * @returns {Promise<object|null>} - The queue, or null if the split has none
+ */
+export async function loadReviewQueue(folder) {
+    try {
+        return JSON.parse(await fs.readFile(path.join(folder, queueFile), 'utf8'));
+    } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+    }
+}
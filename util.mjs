@@ -1,81 +1,160 @@
-import axios from "axios";
-import { promises as fs } from "fs";
 import dotenv from "dotenv";
+import { createProvider, recordingKey, writeRecording } from "./providers.mjs";
+import { cacheKey, getCached, setCached } from "./cache-store.mjs";
+import { promptVersion } from "./prompts.mjs";
+import { validateSchema } from "./schemas.mjs";
+import { createRedactor, redactionEnabled } from "./redact.mjs";
+import { request } from "./http-client.mjs";
 
 dotenv.config();
 
-const azureEndpoint = process.env.AZURE_OPENAI_ENDPOINT;
-const azureApiKey = process.env.AZURE_API_KEY;
+export const llmProviderName = process.env.LLM_PROVIDER || "azure";
+const recordResponses = process.env.LLM_RECORD === "true";
 
-export async function getGptResponse(prompt) {
-    const headers = {
-        "Content-Type": "application/json",
-        "api-key": azureApiKey,
-    };
+const provider = createProvider(llmProviderName, { post: cachedPost });
+
+// Each request gets its own placeholders, so the same prompt is always redacted the same way
+// and its cached response can be reused
+const requestRedactor = () => (redactionEnabled ? createRedactor() : { redact: (text) => text, restore: (value) => value });
 
+export async function getGptResponse(prompt, { maxTokens = 15000 } = {}) {
+    const redactor = requestRedactor();
     const body = {
-        messages: [{ role: "user", content: prompt }],
-        max_tokens: 15000,
+        messages: [{ role: "user", content: redactor.redact(prompt) }],
+        max_tokens: maxTokens,
         temperature: 0,
         top_p: 1,
     };
 
-    const response = await cachedPost(`${azureEndpoint}`, body, headers);
-    return response.choices[0].message.content;
+    const response = await completeChat(body);
+    return redactor.restore(response.choices[0].message.content);
 }
 
-// Load the cache from the file, or initialize it
-export let cache = {};
-const cacheFilePath = './cache.json';
-
-try {
-    const data = await fs.readFile(cacheFilePath, 'utf8');
-    cache = JSON.parse(data);
-} catch (err) {
-    if (err.code !== 'ENOENT') {
-    console.error('Error loading cache:', err);
+export class InvalidResponseError extends Error {
+    constructor(message, { errors, content }) {
+        super(message);
+        this.name = "InvalidResponseError";
+        this.errors = errors;
+        this.content = content;
     }
 }
 
-
 /**
- * Save the cache to a file
+ * Check a chat completion's content against a schema
+ * @returns {{ value: *, errors: string[] }} - The parsed content and any errors
  */
-export async function saveCache() {
+function checkResponse(response, schema, check) {
+    let value;
     try {
-        await fs.writeFile(cacheFilePath, JSON.stringify(cache, null, 2), 'utf-8');
+        // Some models wrap JSON in a Markdown code fence
+        value = JSON.parse(response.choices[0].message.content.replace(/^\s*```(?:json)?\s*|\s*```\s*$/g, ""));
     } catch (err) {
-        console.error('Error saving cache file:', err);
+        return { value, errors: [`The response is not valid JSON: ${err.message}`] };
+    }
+    const errors = validateSchema(schema, value);
+    if (errors.length === 0 && check) {
+        errors.push(...check(value));
     }
+    return { value, errors };
+}
+
+/**
+ * Get a JSON response that matches a schema. When the response doesn't match, the errors are
+ * sent back to the model with its answer and it is asked again, up to maxAttempts times.
+ * Responses that don't match are never cached. Personal information in the prompt is replaced
+ * with placeholders, which are restored in the parsed response.
+ * @param {string} prompt - The prompt
+ * @param {object} schema - JSON Schema the parsed response must match
+ * @param {object} options
+ * @param {number} options.maxTokens - Maximum tokens in the response
+ * @param {number} options.maxAttempts - Requests to make before giving up
+ * @param {function} options.check - Further checks on the parsed response, returning error messages
+ * @returns {Promise<*>} - The parsed response
+ * @throws {InvalidResponseError} - If no valid response was returned
+ */
+export async function getValidatedJson(prompt, schema, { maxTokens = 15000, maxAttempts = 3, check } = {}) {
+    const redactor = requestRedactor();
+    const messages = [{ role: "user", content: redactor.redact(prompt) }];
+    let errors = [];
+    let content;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        const body = {
+            messages: [...messages],
+            max_tokens: maxTokens,
+            temperature: 0,
+            top_p: 1,
+        };
+
+        const response = await completeChat(body, {
+            validate: (data) => checkResponse(data, schema, check).errors.length === 0,
+        });
+        content = response.choices[0].message.content;
+
+        let value;
+        ({ value, errors } = checkResponse(response, schema, check));
+        if (errors.length === 0) {
+            return redactor.restore(value);
+        }
+
+        console.warn(`Invalid model response (attempt ${attempt} of ${maxAttempts}):`, errors.join("; "));
+        messages.push(
+            { role: "assistant", content },
+            { role: "user", content: `Your response did not match the required format:\n${errors.map((error) => `- ${error}`).join("\n")}\nRespond again with the complete corrected JSON only.` },
+        );
+    }
+
+    throw new InvalidResponseError(`No valid response after ${maxAttempts} attempts: ${errors.join("; ")}`, { errors, content: redactor.restore(content) });
+}
+
+/**
+ * Send a chat completion request to the configured provider
+ * @param {object} body - The request payload (messages, max_tokens, temperature, top_p)
+ * @param {object} options
+ * @param {function} options.validate - Returns false for responses that must not be cached
+ * @returns {Promise<object>} - The response data in OpenAI chat completion format
+ */
+export async function completeChat(body, options = {}) {
+    const response = await provider.complete(body, options);
+
+    if (recordResponses && provider.name !== "replay") {
+        await writeRecording(recordingKey(body), body, response);
+    }
+
+    return response;
 }
 
   /**
-   * Cached POST request with persistent cache
+   * Cached POST request with persistent cache. Entries are keyed by a hash of the URL,
+   * the payload and the prompt version. Throttled and failed requests are retried by the HTTP client.
    * @param {string} url - The endpoint URL
    * @param {object} body - The request payload
    * @param {object} headers - The request headers
+   * @param {object} options
+   * @param {boolean} options.enableCache - Whether to return a cached response
+   * @param {function} options.validate - Returns false for responses that must not be cached or reused
    * @returns {Promise<object>} - The response data
    */
- export async function cachedPost(url, body, headers, enableCache = true) {
+ export async function cachedPost(url, body, headers, { enableCache = true, validate = () => true } = {}) {
     // Create a unique cache key based on the URL and payload
-    const cacheKey = `${url}:${JSON.stringify(body)}`;
+    const key = cacheKey({ url, body, promptVersion });
   
     // Return the cached response if available
-    if (cache[cacheKey] && enableCache) {
-      return cache[cacheKey];
+    const cached = enableCache ? await getCached(key) : undefined;
+    if (cached && validate(cached)) {
+      return cached;
     }
     try {
-      const response = await axios.post(url, body, { headers });
+      const response = await request({ service: "LLM", method: "post", url, data: body, headers });
   
       // Cache the response data
-      cache[cacheKey] = response.data;
-  
-      // Persist the cache to the file
-      await saveCache();
+      if (validate(response.data)) {
+        await setCached(key, response.data, { meta: { kind: 'chat', url, model: body.model } });
+      }
   
       return response.data;
     } catch (err) {
-      console.error('Error in cachedPost:', err);
+      console.error('Error in cachedPost:', err.message);
       throw err;
     }
-  }
\ No newline at end of file
+  }